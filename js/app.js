@@ -1,8 +1,12 @@
 import { SceneManager } from './core/scene-manager.js';
+import { CoordinateSystem } from './core/coordinate-system.js';
 import {
+    ArbitraryLineFacade,
     FaultFacade,
     HorizonFacade,
+    HorizonPickingFacade,
     SceneFacade,
+    SectionTraceFacade,
     SeismicPlaneFacade,
     WellFacade
 } from './facade/index.js';
@@ -11,6 +15,7 @@ import { DataLoadingOrchestrator } from './data/data-loader.js';
 import { UIManager } from './ui/ui-controls.js';
 import { loadingUI } from './ui/loading-ui.js';
 import { FaultFileConfig } from './config/fault-file.config.js';
+import { DomainConfig, PathConfig, SegyConfig } from './config/seismic.config.js';
 import { loadingStateManager } from './data/data-loader-factory.js';
 
 class SeismicViewerApp {
@@ -22,7 +27,12 @@ class SeismicViewerApp {
         this.loadingStateManager = loadingStateManager;
 
         this.sceneFacade = null;
+        this.seismicVolume = null;
+        this.velocityModel = null;
         this.seismicPlanes = null;
+        this.arbitraryLines = null;
+        this.sectionTraces = null;
+        this.horizonPicking = null;
         this.faults = null;
         this.horizons = null;
         this.wells = null;
@@ -34,12 +44,14 @@ class SeismicViewerApp {
         try {
             this._initScene();
 
-            this._initSeismicPlanes();
-
             this._initDataOrchestrator();
 
             await this._loadData();
 
+            this._initSeismicPlanes();
+
+            this._initDomain();
+
             this._initUI();
 
             this.sceneFacade.startRenderLoop();
@@ -58,7 +70,26 @@ class SeismicViewerApp {
     }
 
     _initSeismicPlanes() {
-        this.seismicPlanes = new SeismicPlaneFacade(this.sceneManager);
+        this.seismicPlanes = new SeismicPlaneFacade(this.sceneManager, this.seismicVolume);
+        this.arbitraryLines = new ArbitraryLineFacade(this.sceneManager, this.seismicPlanes);
+        this.arbitraryLines.restoreSaved();
+        this.sectionTraces = new SectionTraceFacade(
+            this.sceneManager,
+            this.seismicPlanes,
+            this.horizons.getManager(),
+            this.faults.getLoader()
+        );
+        this.horizonPicking = new HorizonPickingFacade(
+            this.sceneManager,
+            this.seismicVolume,
+            this.horizons.getManager()
+        );
+    }
+
+    _initDomain() {
+        if (this.velocityModel && DomainConfig.defaultDomain === 'depth') {
+            this.setDomain('depth');
+        }
     }
 
     _initDataOrchestrator() {
@@ -69,18 +100,34 @@ class SeismicViewerApp {
     _initUI() {
         this.uiManager = new UIManager();
 
-        const planes = this.seismicPlanes.getPlanes();
-        this.uiManager.createInlineSlider(planes.inline);
-        this.uiManager.createCrosslineSlider(planes.crossline);
+        this.uiManager.createSeismicPlanePanel(this.seismicPlanes);
+        this.uiManager.createSeismicDisplayPanel(this.seismicPlanes.getDisplay());
+        this.uiManager.createDomainControl(this.velocityModel !== null, (domain) => this.setDomain(domain));
+        this.uiManager.createVerticalExaggerationControl((factor) => this.setVerticalExaggeration(factor));
 
-        this.uiManager.createHorizonToggle(this.horizons.getManager());
+        this.uiManager.createHorizonPanel(
+            this.horizons.getManager(),
+            () => this.sectionTraces.update(),
+            this.faults.getLoader()
+        );
+        this.uiManager.createHorizonRenderControl(this.horizons.getManager());
 
-        this.uiManager.createFaultToggle(this.faults.getLoader());
+        this.uiManager.createFaultToggle(this.faults.getLoader(), () => this.sectionTraces.update());
+        this.uiManager.createFaultTypePanel(this.faults.getLoader(), () => this.sectionTraces.update());
+        this.uiManager.createFaultBrowserPanel(this.faults.getLoader(), this.sceneManager, () => this.sectionTraces.update());
+        this.uiManager.createFaultThrowPanel(this.faults.getLoader(), this.horizons.getManager());
+        this.uiManager.createSectionTraceToggle(this.sectionTraces);
 
         this.uiManager.createWellPanel(this.wells.getWellLoader());
 
         this.uiManager.refreshWellLogSelectors();
 
+        this.uiManager.createMapView(this.wells.getWellLoader(), this.horizons.getManager());
+        this.uiManager.createArbitraryLinePanel(this.arbitraryLines, this.wells.getWellLoader());
+        this.uiManager.createHorizonPickingPanel(this.horizonPicking);
+
+        this.uiManager.createCursorReadout(this.sceneManager);
+
         this.uiManager.createCameraReset(this.sceneManager);
     }
 
@@ -103,9 +150,18 @@ class SeismicViewerApp {
             this.loadingStateManager.updateTask('wells', { status: 'loading', progress: 0 });
 
             const result = await this.dataOrchestrator.loadAll({
+                surveyConfig: {
+                    surveyPath: PathConfig.surveyPath
+                },
+                seismicConfig: {
+                    segyPath: PathConfig.segyPath,
+                    inlineByte: SegyConfig.inlineByte,
+                    crosslineByte: SegyConfig.crosslineByte
+                },
                 horizonConfig: {
                     csvPath: '/csv_data/horizon/horizon.csv',
-                    zColumns: ['top', 'bottom']
+                    zColumns: ['top', 'bottom'],
+                    gridFiles: PathConfig.horizonGridFiles
                 },
                 wellConfig: {
                     csvPath: '/csv_data/well/well_coordinates.csv'
@@ -115,10 +171,17 @@ class SeismicViewerApp {
                 },
                 faultConfig: {
                     faultFiles: faultFiles,
+                    manifestPath: PathConfig.faultManifestPath,
                     as3D: true
+                },
+                velocityConfig: {
+                    velocityPath: PathConfig.velocityPath
                 }
             });
 
+            this.seismicVolume = result.seismicVolume;
+            this.velocityModel = result.velocityModel;
+
             this.horizons = new HorizonFacade(this.sceneManager);
             this.horizons.horizonManager = result.horizonManager;
             this.loadingStateManager.completeTask('horizons', true, 'Horizons loaded');
@@ -166,12 +229,46 @@ class SeismicViewerApp {
         this.seismicPlanes.setCrosslineIndex(index);
     }
 
+    setTimeIndex(index) {
+        this.seismicPlanes.setTimeIndex(index);
+    }
+
+    // Rebuilds every object's geometry in the new vertical domain
+    setDomain(domain) {
+        CoordinateSystem.setDomain(domain);
+        this._updatePositions();
+    }
+
+    getDomain() {
+        return CoordinateSystem.getDomain();
+    }
+
+    setVerticalExaggeration(factor) {
+        CoordinateSystem.setVerticalExaggeration(factor);
+        this.sceneFacade.updateVerticalScale();
+        this._updatePositions();
+    }
+
+    getVerticalExaggeration() {
+        return CoordinateSystem.getVerticalExaggeration();
+    }
+
+    // Re-runs the survey-to-world transform for everything placed in the scene
+    _updatePositions() {
+        [this.seismicPlanes, this.arbitraryLines, this.horizons, this.faults, this.wells, this.sectionTraces]
+            .forEach(facade => facade.updatePositions());
+    }
+
     toggleHorizons() {
-        return this.horizons.toggle();
+        const visible = this.horizons.toggle();
+        this.sectionTraces.update();
+        return visible;
     }
 
     toggleFaults() {
-        return this.faults.toggle();
+        const visible = this.faults.toggle();
+        this.sectionTraces.update();
+        return visible;
     }
 
     toggleWells() {
@@ -196,6 +293,10 @@ class SeismicViewerApp {
         return this.seismicPlanes;
     }
 
+    getArbitraryLineFacade() {
+        return this.arbitraryLines;
+    }
+
     getFaultFacade() {
         return this.faults;
     }
@@ -0,0 +1,172 @@
+import { DomainConfig, SeismicConfig } from '../config/seismic.config.js';
+import { CoordinateSystem } from '../core/coordinate-system.js';
+
+// Vertical curtain through the volume along a polyline in inline/crossline index space
+export class ArbitraryLine {
+    constructor(sceneManager, volume, display, name, points) {
+        this.sceneManager = sceneManager;
+        this.volume = volume;
+        this.display = display;
+        this.name = name;
+        this.points = points;
+        this.mesh = null;
+        this.texture = null;
+        this.visible = true;
+
+        this._create();
+    }
+
+    _create() {
+        const path = ArbitraryLine.resamplePath(this.points);
+        if (path.length < 2) {
+            throw new Error(`Arbitrary line "${this.name}" needs at least two distinct points`);
+        }
+
+        this.path = path;
+        this.texture = this._createTexture(path);
+
+        const geometry = this._createGeometry(path);
+        const material = this.display.createMaterial(this.texture);
+
+        this.mesh = new THREE.Mesh(geometry, material);
+        this.mesh.userData = { type: 'arbitraryLine', name: this.name, pickable: true };
+        this._updateGeometry();
+        this.sceneManager.add(this.mesh);
+    }
+
+    // Samples the polyline once per trace spacing so every column maps to one trace.
+    // Repeated vertices are dropped first, so a polyline of one repeated point stays one point.
+    static resamplePath(vertices) {
+        const path = [];
+        const points = vertices.filter((point, i) =>
+            i === 0 || point.inline !== vertices[i - 1].inline || point.crossline !== vertices[i - 1].crossline
+        );
+
+        for (let i = 0; i < points.length - 1; i++) {
+            const a = points[i];
+            const b = points[i + 1];
+            const length = Math.hypot(b.inline - a.inline, b.crossline - a.crossline);
+            const steps = Math.max(1, Math.ceil(length));
+
+            for (let s = 0; s < steps; s++) {
+                const t = s / steps;
+                path.push({
+                    inline: a.inline + (b.inline - a.inline) * t,
+                    crossline: a.crossline + (b.crossline - a.crossline) * t
+                });
+            }
+        }
+
+        if (points.length > 0) {
+            path.push({ ...points[points.length - 1] });
+        }
+
+        return path;
+    }
+
+    // One column of vertices per path point, split vertically so the curtain can bend in depth
+    _createGeometry(path) {
+        const rows = DomainConfig.planeSegments;
+        const uvs = [];
+        const indices = [];
+
+        path.forEach((point, i) => {
+            const u = i / (path.length - 1);
+            for (let r = 0; r <= rows; r++) {
+                uvs.push(u, 1 - r / rows);
+            }
+
+            if (i > 0) {
+                for (let r = 0; r < rows; r++) {
+                    const a = (i - 1) * (rows + 1) + r;
+                    const b = i * (rows + 1) + r;
+                    indices.push(a, a + 1, b, b, a + 1, b + 1);
+                }
+            }
+        });
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(new Float32Array(uvs.length / 2 * 3), 3));
+        geometry.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2));
+        geometry.setIndex(indices);
+        return geometry;
+    }
+
+    _updateGeometry() {
+        const { geometry } = this.mesh;
+        const position = geometry.attributes.position;
+        const rows = DomainConfig.planeSegments;
+        const vertex = new THREE.Vector3();
+        let i = 0;
+
+        this.path.forEach(point => {
+            for (let r = 0; r <= rows; r++) {
+                const time = SeismicConfig.yTop + (r / rows) * SeismicConfig.timeSize;
+                CoordinateSystem.indexToWorld(point.inline, point.crossline, time, vertex);
+                position.setXYZ(i++, vertex.x, vertex.y, vertex.z);
+            }
+        });
+
+        position.needsUpdate = true;
+        geometry.computeBoundingBox();
+        geometry.computeBoundingSphere();
+    }
+
+    updatePositions() {
+        if (this.mesh) {
+            this._updateGeometry();
+        }
+    }
+
+    _createTexture(path) {
+        const width = path.length;
+        const height = this.volume.sampleCount;
+        const data = new Float32Array(width * height);
+        const trace = new Float32Array(height);
+
+        path.forEach((point, column) => {
+            const samples = this.volume.getTrace(
+                Math.round(point.inline),
+                Math.round(point.crossline),
+                trace
+            );
+            if (!samples) return;
+
+            // First time sample goes in the top (last) texture row
+            for (let s = 0; s < height; s++) {
+                data[(height - 1 - s) * width + column] = samples[s];
+            }
+        });
+
+        const texture = new THREE.DataTexture(data, width, height, THREE.RedFormat, THREE.FloatType);
+        texture.generateMipmaps = false;
+        texture.minFilter = THREE.NearestFilter;
+        texture.magFilter = THREE.NearestFilter;
+        texture.needsUpdate = true;
+        return texture;
+    }
+
+    setVisible(visible) {
+        this.visible = visible;
+        if (this.mesh) {
+            this.mesh.visible = visible;
+        }
+    }
+
+    toJSON() {
+        return { name: this.name, points: this.points };
+    }
+
+    dispose() {
+        if (this.mesh) {
+            this.sceneManager.remove(this.mesh);
+            this.mesh.geometry.dispose();
+            this.display.releaseMaterial(this.mesh.material);
+            this.mesh = null;
+        }
+        if (this.texture) {
+            this.texture.dispose();
+            this.texture = null;
+        }
+    }
+}
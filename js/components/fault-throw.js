@@ -0,0 +1,151 @@
+import { FaultThrowConfig } from '../config/seismic.config.js';
+import { CoordinateSystem } from '../core/coordinate-system.js';
+import { FaultThrow } from '../core/fault-throw.js';
+
+// Throw and heave of a horizon across a fault surface, one station per fault stick along strike.
+// Throw is the hanging-wall cutoff's time minus the footwall's, so positive for normal offset;
+// heave is the horizontal distance between the two cutoffs in projected units.
+export class FaultThrowAnalysis {
+    // options: { gap, window } over FaultThrowConfig. Returns { horizonName, stations } where
+    // station k belongs to the k-th stick of the fault, i.e. its vertices 2k and 2k + 1.
+    static compute(fault, horizon, options = {}) {
+        if (!fault.runs) {
+            throw new Error(`Fault ${fault.name} has no surface to cut`);
+        }
+        if (horizon.points.length === 0) {
+            throw new Error(`Horizon ${horizon.name} has no points`);
+        }
+
+        const { gap, window } = { ...FaultThrowConfig, ...options };
+        const sample = FaultThrowAnalysis._sampler(horizon);
+        const stations = [];
+        let distance = 0;
+        let previous = null;
+
+        fault.runs.forEach(sticks => {
+            const cutoffs = FaultThrow.cutoffs(sticks, sample, { gap, window });
+
+            sticks.forEach(([a, b], k) => {
+                const middle = CoordinateSystem.indexToProjected((a.inline_n + b.inline_n) / 2, (a.crossline_n + b.crossline_n) / 2);
+                if (previous) distance += Math.hypot(middle.x - previous.x, middle.y - previous.y);
+                previous = middle;
+
+                const { hangingWall, footwall } = cutoffs[k];
+                const both = hangingWall && footwall;
+                stations.push({
+                    distance,
+                    hangingWall,
+                    footwall,
+                    throw: both ? hangingWall.time - footwall.time : NaN,
+                    heave: both ? FaultThrowAnalysis._horizontalDistance(hangingWall, footwall) : NaN
+                });
+            });
+        });
+
+        return { horizonName: horizon.name, stations };
+    }
+
+    // { min, max, mean, count } of one attribute over the stations where it is known
+    static getStatistics(analysis, attribute) {
+        const values = analysis.stations.map(station => station[attribute]).filter(Number.isFinite);
+        if (values.length === 0) return { min: NaN, max: NaN, mean: NaN, count: 0 };
+
+        return {
+            min: Math.min(...values),
+            max: Math.max(...values),
+            mean: values.reduce((sum, value) => sum + value, 0) / values.length,
+            count: values.length
+        };
+    }
+
+    static _horizontalDistance(a, b) {
+        const p = CoordinateSystem.indexToProjected(a.inline_n, a.crossline_n);
+        const q = CoordinateSystem.indexToProjected(b.inline_n, b.crossline_n);
+        return Math.hypot(p.x - q.x, p.y - q.y);
+    }
+
+    // Horizon time at fractional survey indices, bilinear on its lattice; NaN outside it or next to a hole
+    static _sampler({ lattice, points }) {
+        return (inlineIndex, crosslineIndex) => {
+            const row = (inlineIndex - lattice.inlineStart) / lattice.inlineStep;
+            const column = (crosslineIndex - lattice.crosslineStart) / lattice.crosslineStep;
+            if (row < 0 || column < 0 || row > lattice.rows - 1 || column > lattice.columns - 1) return NaN;
+
+            const r0 = Math.floor(row);
+            const c0 = Math.floor(column);
+            const r1 = Math.min(r0 + 1, lattice.rows - 1);
+            const c1 = Math.min(c0 + 1, lattice.columns - 1);
+            const corners = [lattice.node(r0, c0), lattice.node(r0, c1), lattice.node(r1, c0), lattice.node(r1, c1)];
+            if (corners.includes(-1)) return NaN;
+
+            const [a, b, c, d] = corners.map(i => points[i].z);
+            const tr = row - r0;
+            const tc = column - c0;
+            return (a * (1 - tc) + b * tc) * (1 - tr) + (c * (1 - tc) + d * tc) * tr;
+        };
+    }
+}
+
+// Hanging-wall and footwall cutoff lines of a throw analysis, drawn over the fault plane
+export class FaultCutoffs {
+    constructor(sceneManager, fault, analysis) {
+        this.sceneManager = sceneManager;
+        this.fault = fault;
+        this.analysis = analysis;
+        this.lines = ['hangingWall', 'footwall'].map(side => this._createLine(side));
+    }
+
+    _createLine(side) {
+        const material = new THREE.LineBasicMaterial({
+            color: side === 'hangingWall' ? FaultThrowConfig.hangingWallColor : FaultThrowConfig.footwallColor,
+            depthTest: false
+        });
+
+        const line = new THREE.LineSegments(new THREE.BufferGeometry(), material);
+        line.userData.side = side;
+        line.renderOrder = 55;
+        line.visible = this.fault.isVisible();
+        this._updateLine(line);
+        this.sceneManager.add(line);
+        return line;
+    }
+
+    // Consecutive stations of the same run with a cutoff on that side are joined
+    _updateLine(line) {
+        const { side } = line.userData;
+        const positions = [];
+        let first = 0;
+
+        this.fault.runs.forEach(sticks => {
+            for (let k = first; k < first + sticks.length - 1; k++) {
+                const a = this.analysis.stations[k][side];
+                const b = this.analysis.stations[k + 1][side];
+                if (!a || !b) continue;
+
+                [a, b].forEach(point => {
+                    positions.push(...CoordinateSystem.indexToWorld(point.inline_n, point.crossline_n, point.time).toArray());
+                });
+            }
+            first += sticks.length;
+        });
+
+        line.geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        line.geometry.computeBoundingSphere();
+    }
+
+    updatePositions() {
+        this.lines.forEach(line => this._updateLine(line));
+    }
+
+    setVisible(visible) {
+        this.lines.forEach(line => { line.visible = visible; });
+    }
+
+    dispose() {
+        this.lines.forEach(line => {
+            this.sceneManager.remove(line);
+            line.geometry.dispose();
+            line.material.dispose();
+        });
+    }
+}
@@ -1,32 +1,69 @@
-import { StyleConfig } from '../config/seismic.config.js';
+import { FaultFileConfig } from '../config/fault-file.config.js';
+import { FaultThrowConfig, StyleConfig } from '../config/seismic.config.js';
+import { Colormap } from '../core/colormap.js';
 import { CoordinateSystem } from '../core/coordinate-system.js';
+import { FaultCutoffs, FaultThrowAnalysis } from './fault-throw.js';
 
 export class FaultSegment {
-    constructor(sceneManager, point1, point2, name, color = StyleConfig.defaultFaultColor) {
+    constructor(sceneManager, point1, point2, name, color = StyleConfig.defaultFaultColor, type = 'unknown') {
         this.sceneManager = sceneManager;
         this.name = name;
+        this.type = type;
+        this.points = [point1, point2];
         this.line = null;
+        this.defaultColor = color;
+        this.colorOverride = null;
 
-        this._create(point1, point2, color);
+        this._create(color);
     }
 
-    _create(point1, point2, color) {
-        const v1 = CoordinateSystem.seismicToWorld(point1);
-        const v2 = CoordinateSystem.seismicToWorld(point2);
-
-        const geometry = new THREE.BufferGeometry().setFromPoints([v1, v2]);
+    _create(color) {
+        const geometry = new THREE.BufferGeometry().setFromPoints(this.points.map(FaultLoader.toWorld));
         const material = new THREE.LineBasicMaterial({ color, linewidth: 2 });
 
         this.line = new THREE.Line(geometry, material);
         this.sceneManager.add(this.line);
     }
 
+    updatePositions() {
+        if (this.line) {
+            this.line.geometry.setFromPoints(this.points.map(FaultLoader.toWorld));
+        }
+    }
+
     setVisible(visible) {
         if (this.line) {
             this.line.visible = visible;
         }
     }
 
+    isVisible() {
+        return this.line !== null && this.line.visible;
+    }
+
+    getColor() {
+        return this.line.material.color;
+    }
+
+    // null goes back to the color of the fault's type
+    setColor(color) {
+        this.colorOverride = color;
+        this.line.material.color.set(color ?? this.defaultColor);
+    }
+
+    hasColorOverride() {
+        return this.colorOverride !== null;
+    }
+
+    getBounds() {
+        return new THREE.Box3().setFromObject(this.line);
+    }
+
+    // Sticks have no surface to cut
+    getTriangles() {
+        return [];
+    }
+
     dispose() {
         if (this.line) {
             this.sceneManager.remove(this.line);
@@ -36,58 +73,193 @@ export class FaultSegment {
     }
 }
 
-export class FaultPanel {
-    constructor(sceneManager, p1a, p1b, p2a, p2b, color = StyleConfig.defaultFault3DColor) {
+// One fault plane as a single indexed mesh. Each stick contributes its two end points once;
+// consecutive sticks in `runs` are joined by two triangles, as the separate panels used to be.
+// The material belongs to the FaultLoader and is shared by every fault of the same type.
+export class FaultSurface {
+    constructor(sceneManager, name, type, runs, material) {
         this.sceneManager = sceneManager;
+        this.name = name;
+        this.type = type;
+        this.runs = runs;
+        this.points = runs.flat().flat();
+        this.indices = FaultSurface._triangulate(runs);
         this.mesh = null;
+        this.sharedMaterial = material;
+        this.colorMaterial = null;
 
-        this._create(p1a, p1b, p2a, p2b, color);
+        // Throw analysis against a horizon, its cutoff lines and the attribute coloring the plane
+        this.throwAnalysis = null;
+        this.cutoffs = null;
+        this.attribute = null;
+        this.attributeMaterial = null;
+
+        this._create(material);
     }
 
-    _create(p1a, p1b, p2a, p2b, color) {
-        const A = CoordinateSystem.seismicToWorld(p1a);
-        const B = CoordinateSystem.seismicToWorld(p1b);
-        const C = CoordinateSystem.seismicToWorld(p2a);
-        const D = CoordinateSystem.seismicToWorld(p2b);
+    // runs: arrays of [top, bottom] sticks; vertex 2k / 2k + 1 are the ends of the k-th stick
+    static _triangulate(runs) {
+        const indices = [];
+        let first = 0;
 
+        runs.forEach(sticks => {
+            for (let i = 0; i < sticks.length - 1; i++) {
+                const a = first + i * 2;
+                const [b, c, d] = [a + 1, a + 2, a + 3];
+                indices.push(a, b, c, b, d, c);
+            }
+            first += sticks.length * 2;
+        });
+
+        return indices;
+    }
+
+    _computeVertices() {
+        const vertices = new Float32Array(this.points.length * 3);
+        this.points.forEach((point, i) => FaultLoader.toWorld(point).toArray(vertices, i * 3));
+        return vertices;
+    }
+
+    _create(material) {
         const geometry = new THREE.BufferGeometry();
-        const vertices = new Float32Array([
-            // Triangle 1
-            A.x, A.y, A.z,
-            B.x, B.y, B.z,
-            C.x, C.y, C.z,
-            // Triangle 2
-            B.x, B.y, B.z,
-            D.x, D.y, D.z,
-            C.x, C.y, C.z
-        ]);
-
-        geometry.setAttribute('position', new THREE.BufferAttribute(vertices, 3));
+        geometry.setAttribute('position', new THREE.BufferAttribute(this._computeVertices(), 3));
+        geometry.setIndex(this.indices);
         geometry.computeVertexNormals();
 
-        const material = new THREE.MeshPhongMaterial({
-            color,
-            side: THREE.DoubleSide,
-            transparent: true,
-            opacity: StyleConfig.fault3DOpacity,
-            shininess: 50
-        });
-
         this.mesh = new THREE.Mesh(geometry, material);
         this.sceneManager.add(this.mesh);
     }
 
+    updatePositions() {
+        if (!this.mesh) return;
+
+        const { geometry } = this.mesh;
+        geometry.setAttribute('position', new THREE.BufferAttribute(this._computeVertices(), 3));
+        geometry.computeVertexNormals();
+        geometry.computeBoundingSphere();
+
+        if (this.cutoffs) this.cutoffs.updatePositions();
+    }
+
     setVisible(visible) {
         if (this.mesh) {
             this.mesh.visible = visible;
         }
+        if (this.cutoffs) {
+            this.cutoffs.setVisible(visible);
+        }
     }
 
+    isVisible() {
+        return this.mesh !== null && this.mesh.visible;
+    }
+
+    getColor() {
+        return (this.colorMaterial ?? this.sharedMaterial).color;
+    }
+
+    // A color of its own moves the fault onto a copy of the shared material; null moves it back
+    setColor(color) {
+        if (color === null) {
+            if (this.colorMaterial) {
+                this.colorMaterial.dispose();
+                this.colorMaterial = null;
+            }
+        } else {
+            if (!this.colorMaterial) {
+                this.colorMaterial = this.sharedMaterial.clone();
+            }
+            this.colorMaterial.color.set(color);
+        }
+        this._updateMaterial();
+    }
+
+    hasColorOverride() {
+        return this.colorMaterial !== null;
+    }
+
+    // The throw attribute, while shown, wins over the fault's own or shared color
+    _updateMaterial() {
+        this.mesh.material = this.attributeMaterial ?? this.colorMaterial ?? this.sharedMaterial;
+    }
+
+    // analysis as computed by FaultThrowAnalysis; null removes it with its cutoffs and coloring
+    setThrowAnalysis(analysis, attribute = FaultThrowConfig.attribute) {
+        if (this.cutoffs) {
+            this.cutoffs.dispose();
+            this.cutoffs = null;
+        }
+
+        this.throwAnalysis = analysis;
+        if (analysis) {
+            this.cutoffs = new FaultCutoffs(this.sceneManager, this, analysis);
+        }
+        this.setAttribute(analysis ? attribute : null);
+    }
+
+    // 'throw' | 'heave' colors each stick by its station through FaultThrowConfig.colormap
+    // over the attribute's range; null goes back to the fault's color
+    setAttribute(attribute) {
+        this.attribute = this.throwAnalysis ? attribute : null;
+        const { geometry } = this.mesh;
+
+        if (!this.attribute) {
+            if (this.attributeMaterial) {
+                this.attributeMaterial.dispose();
+                this.attributeMaterial = null;
+                geometry.deleteAttribute('color');
+            }
+            this._updateMaterial();
+            return;
+        }
+
+        const { stations } = this.throwAnalysis;
+        const { min, max } = FaultThrowAnalysis.getStatistics(this.throwAnalysis, this.attribute);
+        const colormap = Colormap.get(FaultThrowConfig.colormap);
+        const colors = new Float32Array(this.points.length * 3);
+        const color = new THREE.Color();
+
+        stations.forEach((station, k) => {
+            const value = station[this.attribute];
+            if (Number.isFinite(value)) {
+                colormap.getColor(max > min ? (value - min) / (max - min) : 0.5, color);
+            } else {
+                color.setHex(FaultThrowConfig.noValueColor);
+            }
+            color.toArray(colors, k * 6);
+            color.toArray(colors, k * 6 + 3);
+        });
+        geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+
+        if (!this.attributeMaterial) {
+            this.attributeMaterial = this.sharedMaterial.clone();
+            this.attributeMaterial.color.setHex(0xffffff);
+            this.attributeMaterial.vertexColors = true;
+        }
+        this._updateMaterial();
+    }
+
+    getBounds() {
+        return new THREE.Box3().setFromObject(this.mesh);
+    }
+
+    // Triangles in stick coordinates (inline_n, crossline_n, time), matching the mesh
+    getTriangles() {
+        const triangles = [];
+        for (let i = 0; i < this.indices.length; i += 3) {
+            triangles.push([0, 1, 2].map(k => this.points[this.indices[i + k]]));
+        }
+        return triangles;
+    }
+
+    // The shared material stays with the FaultLoader
     dispose() {
         if (this.mesh) {
+            this.setThrowAnalysis(null);
+            this.setColor(null);
             this.sceneManager.remove(this.mesh);
             this.mesh.geometry.dispose();
-            this.mesh.material.dispose();
+            this.mesh = null;
         }
     }
 }
@@ -96,9 +268,58 @@ export class FaultLoader {
     constructor(sceneManager) {
         this.sceneManager = sceneManager;
         this.faults = [];
+        this.materials = new Map();
+
+        // A fault is shown while faults as a whole are and neither its type nor itself is hidden
+        this.visible = true;
+        this.hiddenTypes = new Set();
+        this.hiddenFaults = new Set();
+        this._nextId = 1;
+    }
+
+    _add(fault) {
+        fault.id = this._nextId++;
+        fault.setVisible(this._isShown(fault));
+        this.faults.push(fault);
+    }
+
+    getFault(id) {
+        return this.faults.find(f => f.id === id) || null;
+    }
+
+    setFaultVisible(id, visible) {
+        if (visible) {
+            this.hiddenFaults.delete(id);
+        } else {
+            this.hiddenFaults.add(id);
+        }
+        this._applyVisibility();
+    }
+
+    isFaultVisible(id) {
+        return !this.hiddenFaults.has(id);
+    }
+
+    // Hides every other fault and makes sure the fault's own type, and faults as a whole, are shown
+    isolateFault(id) {
+        const fault = this.getFault(id);
+        if (!fault) return;
+
+        this.hiddenFaults = new Set(this.faults.filter(f => f !== fault).map(f => f.id));
+        this.hiddenTypes.delete(fault.type);
+        this.visible = true;
+        this._applyVisibility();
+    }
+
+    showAllFaults() {
+        this.hiddenFaults.clear();
+        this._applyVisibility();
     }
 
-    async loadFaultLines(path) {
+    // options: { type, name, color } as listed in a fault manifest; type and name default to
+    // what FaultFileConfig reads from the file name, color to the type's color
+    async loadFaultLines(path, options = {}) {
+        const { type = FaultFileConfig.getFaultType(path), name = FaultFileConfig.getFaultName(path), color = null } = options;
         console.log(`Loading fault lines: ${path}`);
 
         try {
@@ -114,9 +335,12 @@ export class FaultLoader {
                     this.sceneManager,
                     segment[0],
                     segment[1],
-                    segment[0].name
+                    segment[0].name || name,
+                    FaultFileConfig.getTypeStyle(type).color,
+                    type
                 );
-                this.faults.push(fault);
+                this._add(fault);
+                if (color !== null) fault.setColor(color);
             });
 
             console.log(`Fault lines loaded: ${path}`);
@@ -125,7 +349,10 @@ export class FaultLoader {
         }
     }
 
-    async loadFaultSurfaces(path) {
+    // One FaultSurface per fault plane in the file. options as for loadFaultLines; type picks
+    // the shared material, name labels planes the file leaves unnamed.
+    async loadFaultSurfaces(path, options = {}) {
+        const { type = FaultFileConfig.getFaultType(path), name = FaultFileConfig.getFaultName(path), color = null } = options;
         console.log(`Loading fault surfaces: ${path}`);
 
         try {
@@ -138,23 +365,33 @@ export class FaultLoader {
                 .map(k => parseInt(k))
                 .sort((a, b) => a - b);
 
-            // Create panels between adjacent pairs
-            for (let i = 0; i < pairKeys.length - 1; i++) {
-                const p1 = faultData[pairKeys[i]];
-                const p2 = faultData[pairKeys[i + 1]];
-
-                // Only connect same fault name
-                if (p1[0].name !== p2[0].name) continue;
-
-                if (p1.length === 2 && p2.length === 2) {
-                    const panel = new FaultPanel(
-                        this.sceneManager,
-                        p1[0], p1[1],
-                        p2[0], p2[1]
-                    );
-                    this.faults.push(panel);
+            // Adjacent sticks of the same fault name form a run; a fault may be split in several
+            const runsByName = new Map();
+            let run = null;
+            pairKeys.forEach((key, i) => {
+                const stick = faultData[key];
+                const { name } = stick[0];
+                if (stick.length !== 2) {
+                    run = null;
+                    return;
                 }
-            }
+
+                if (!run || faultData[pairKeys[i - 1]][0].name !== name) {
+                    run = [];
+                    if (!runsByName.has(name)) runsByName.set(name, []);
+                    runsByName.get(name).push(run);
+                }
+                run.push(stick);
+            });
+
+            runsByName.forEach((runs, planeName) => {
+                const joined = runs.filter(sticks => sticks.length > 1);
+                if (joined.length === 0) return;
+
+                const fault = new FaultSurface(this.sceneManager, planeName || name, type, joined, this._getMaterial(type));
+                this._add(fault);
+                if (color !== null) fault.setColor(color);
+            });
 
             console.log(`Fault surfaces loaded: ${path}`);
         } catch (error) {
@@ -162,6 +399,25 @@ export class FaultLoader {
         }
     }
 
+    // One material per fault type, colored from FaultFileConfig.typeStyles
+    _getMaterial(type) {
+        if (!this.materials.has(type)) {
+            this.materials.set(type, new THREE.MeshPhongMaterial({
+                color: FaultFileConfig.getTypeStyle(type).color,
+                side: THREE.DoubleSide,
+                transparent: true,
+                opacity: StyleConfig.fault3DOpacity,
+                shininess: 50
+            }));
+        }
+        return this.materials.get(type);
+    }
+
+    // Fault sticks are exported with 0-based inline_n / crossline_n grid indices
+    static toWorld(point) {
+        return CoordinateSystem.indexToWorld(point.inline_n, point.crossline_n, point.time);
+    }
+
     _parseCSV(text) {
         const delimiter = ',';
         const rows = text.trim().split(/\r?\n/);
@@ -196,11 +452,52 @@ export class FaultLoader {
     }
 
     setAllVisible(visible) {
-        this.faults.forEach(f => f.setVisible(visible));
+        this.visible = visible;
+        this._applyVisibility();
+    }
+
+    // Types present among the loaded faults, in FaultFileConfig order, with their counts
+    getTypes() {
+        const counts = new Map();
+        this.faults.forEach(f => counts.set(f.type, (counts.get(f.type) || 0) + 1));
+
+        const order = Object.keys(FaultFileConfig.typeStyles);
+        const rank = (type) => order.includes(type) ? order.indexOf(type) : order.length;
+        return [...counts.keys()]
+            .sort((a, b) => rank(a) - rank(b))
+            .map(type => ({ type, count: counts.get(type), ...FaultFileConfig.getTypeStyle(type) }));
+    }
+
+    setTypeVisible(type, visible) {
+        if (visible) {
+            this.hiddenTypes.delete(type);
+        } else {
+            this.hiddenTypes.add(type);
+        }
+        this._applyVisibility();
+    }
+
+    isTypeVisible(type) {
+        return !this.hiddenTypes.has(type);
+    }
+
+    _isShown(fault) {
+        return this.visible && !this.hiddenTypes.has(fault.type) && !this.hiddenFaults.has(fault.id);
+    }
+
+    _applyVisibility() {
+        this.faults.forEach(f => f.setVisible(this._isShown(f)));
+    }
+
+    updatePositions() {
+        this.faults.forEach(f => f.updatePositions());
     }
 
     dispose() {
         this.faults.forEach(f => f.dispose());
         this.faults = [];
+        this.hiddenFaults.clear();
+        this.materials.forEach(material => material.dispose());
+        this.materials.clear();
     }
 }
@@ -0,0 +1,85 @@
+import { HorizonAttributeConfig } from '../config/seismic.config.js';
+import { SurveyConfig } from '../config/survey.config.js';
+import { CoordinateSystem } from '../core/coordinate-system.js';
+import { SurfaceAttributes } from '../core/surface-attributes.js';
+import { WorkerClient } from '../core/worker-client.js';
+
+// Dip, azimuth, curvature and hillshade of a horizon, computed in a worker on its lattice.
+// Results are cached on the horizon as one value per point (NaN where undefined).
+export class HorizonAttributes {
+    static getNames() {
+        return Object.keys(SurfaceAttributes.definitions);
+    }
+
+    static getLabel(name) {
+        return SurfaceAttributes.definitions[name]?.label ?? name;
+    }
+
+    // Resolves to { values, range }; concurrent requests for one attribute share a computation
+    static compute(horizon, name) {
+        if (!SurfaceAttributes.definitions[name]) {
+            return Promise.reject(new Error(`Unknown horizon attribute: ${name}`));
+        }
+        if (!horizon.attributeCache.has(name)) {
+            const request = HorizonAttributes._run(horizon, name).catch(error => {
+                horizon.attributeCache.delete(name);
+                throw error;
+            });
+            horizon.attributeCache.set(name, request);
+        }
+        return horizon.attributeCache.get(name);
+    }
+
+    static async _run(horizon, name) {
+        const { lattice, points } = horizon;
+        const grid = HorizonAttributes._depthGrid(lattice, points);
+
+        const { values: gridValues } = await HorizonAttributes._worker.request({
+            name,
+            grid,
+            rows: lattice.rows,
+            columns: lattice.columns,
+            spacing: {
+                row: lattice.inlineStep * SurveyConfig.binSpacing.inline,
+                column: lattice.crosslineStep * SurveyConfig.binSpacing.crossline
+            },
+            options: {
+                rotation: SurveyConfig.rotation,
+                lightAzimuth: HorizonAttributeConfig.lightAzimuth,
+                lightAltitude: HorizonAttributeConfig.lightAltitude
+            }
+        }, [grid.buffer]);
+
+        const values = new Float32Array(points.length).fill(NaN);
+        lattice.nodes.forEach((i, key) => {
+            if (i !== -1) values[i] = gridValues[key];
+        });
+
+        return { values, range: SurfaceAttributes.percentileRange(values) };
+    }
+
+    // Node depths in metres, so slopes and curvatures come out in real-world units
+    static _depthGrid(lattice, points) {
+        const model = CoordinateSystem.getVelocityModel();
+        const grid = new Float32Array(lattice.nodes.length).fill(NaN);
+
+        lattice.nodes.forEach((i, key) => {
+            if (i === -1) return;
+
+            const { z } = points[i];
+            if (model) {
+                const { inlineIndex, crosslineIndex } = lattice.toIndices(
+                    Math.floor(key / lattice.columns),
+                    key % lattice.columns
+                );
+                grid[key] = model.timeToDepth(inlineIndex, crosslineIndex, z);
+            } else {
+                grid[key] = z * HorizonAttributeConfig.conversionVelocity / 2000;
+            }
+        });
+
+        return grid;
+    }
+}
+
+HorizonAttributes._worker = new WorkerClient(new URL('../workers/horizon-attribute.worker.js', import.meta.url));
@@ -0,0 +1,261 @@
+import { ContourConfig, HorizonConfig } from '../config/seismic.config.js';
+import { CoordinateSystem } from '../core/coordinate-system.js';
+
+// Contour lines of a horizon at a fixed interval, traced on its lattice with marching squares.
+// Every ContourConfig.indexEvery-th level is an index contour: drawn as a wider ribbon and labelled.
+export class HorizonContours {
+    constructor(sceneManager, horizon, interval) {
+        this.sceneManager = sceneManager;
+        this.horizon = horizon;
+        this.interval = interval;
+
+        this.segments = HorizonContours.trace(horizon.lattice, horizon.points, interval, HorizonConfig.maxJump);
+        this.labels = this._placeLabels();
+
+        this.lines = null;
+        this.ribbons = null;
+        this.labelSprites = [];
+
+        this._create();
+    }
+
+    // Segments of { level, isIndex, from, to } with ends in fractional survey grid indices.
+    // Cells with a missing corner or a jump above maxJump are skipped, as in the surface.
+    static trace(lattice, points, interval, maxJump = Infinity) {
+        const segments = [];
+        const corners = [[0, 0], [0, 1], [1, 1], [1, 0]];
+
+        for (let row = 0; row < lattice.rows - 1; row++) {
+            for (let column = 0; column < lattice.columns - 1; column++) {
+                const nodes = corners.map(([dr, dc]) => lattice.node(row + dr, column + dc));
+                if (nodes.includes(-1)) continue;
+
+                const zs = nodes.map(i => points[i].z);
+                const lo = Math.min(...zs);
+                const hi = Math.max(...zs);
+                if (hi - lo > maxJump) continue;
+
+                for (let k = Math.ceil(lo / interval); k * interval <= hi; k++) {
+                    const level = k * interval;
+                    HorizonContours._traceCell(zs, level, corners).forEach(([from, to]) => {
+                        segments.push({
+                            level,
+                            isIndex: k % ContourConfig.indexEvery === 0,
+                            from: lattice.toIndices(row + from[0], column + from[1]),
+                            to: lattice.toIndices(row + to[0], column + to[1])
+                        });
+                    });
+                }
+            }
+        }
+
+        return segments;
+    }
+
+    // Crossings of one level through a cell, paired into segments in cell-local row/column
+    static _traceCell(zs, level, corners) {
+        const above = zs.map(z => z > level);
+        const crossings = [];
+
+        for (let edge = 0; edge < 4; edge++) {
+            const next = (edge + 1) % 4;
+            if (above[edge] === above[next]) continue;
+
+            const t = (level - zs[edge]) / (zs[next] - zs[edge]);
+            const [r0, c0] = corners[edge];
+            const [r1, c1] = corners[next];
+            crossings.push([r0 + (r1 - r0) * t, c0 + (c1 - c0) * t]);
+        }
+
+        if (crossings.length === 2) {
+            return [crossings];
+        }
+        if (crossings.length !== 4) {
+            return [];
+        }
+
+        // Saddle: the cell centre decides which opposite corners are joined
+        const centreAbove = zs.reduce((sum, z) => sum + z, 0) / 4 > level;
+        return centreAbove === above[0]
+            ? [[crossings[0], crossings[1]], [crossings[2], crossings[3]]]
+            : [[crossings[3], crossings[0]], [crossings[1], crossings[2]]];
+    }
+
+    // A label on the first index segment of each level and then every labelSpacing segments
+    _placeLabels() {
+        const counts = new Map();
+        const labels = [];
+
+        this.segments.forEach(segment => {
+            if (!segment.isIndex) return;
+
+            const count = counts.get(segment.level) || 0;
+            counts.set(segment.level, count + 1);
+
+            if (count % ContourConfig.labelSpacing === 0) {
+                labels.push({
+                    level: segment.level,
+                    inlineIndex: (segment.from.inlineIndex + segment.to.inlineIndex) / 2,
+                    crosslineIndex: (segment.from.crosslineIndex + segment.to.crosslineIndex) / 2
+                });
+            }
+        });
+
+        return labels;
+    }
+
+    _create() {
+        const lineGeometry = new THREE.BufferGeometry();
+        this.lines = new THREE.LineSegments(
+            lineGeometry,
+            new THREE.LineBasicMaterial({ color: ContourConfig.color })
+        );
+
+        const ribbonGeometry = new THREE.BufferGeometry();
+        this.ribbons = new THREE.Mesh(
+            ribbonGeometry,
+            new THREE.MeshBasicMaterial({ color: ContourConfig.indexColor, side: THREE.DoubleSide })
+        );
+
+        const textures = new Map();
+        this.labelSprites = this.labels.map(label => {
+            if (!textures.has(label.level)) {
+                textures.set(label.level, HorizonContours._createLabelTexture(label.level));
+            }
+
+            const texture = textures.get(label.level);
+            const sprite = new THREE.Sprite(new THREE.SpriteMaterial({
+                map: texture,
+                transparent: true,
+                depthWrite: false
+            }));
+            const { width, height } = texture.image;
+            sprite.scale.set(ContourConfig.labelHeight * width / height, ContourConfig.labelHeight, 1);
+            sprite.renderOrder = 50;
+            return sprite;
+        });
+
+        this.updatePositions();
+
+        [this.lines, this.ribbons, ...this.labelSprites].forEach(object => {
+            object.visible = this.horizon.visible;
+            this.sceneManager.add(object);
+        });
+    }
+
+    static _createLabelTexture(level) {
+        const canvas = document.createElement('canvas');
+        const context = canvas.getContext('2d');
+        const text = `${level}`;
+        const fontSize = 32;
+
+        context.font = `bold ${fontSize}px Arial`;
+        canvas.width = context.measureText(text).width + 12;
+        canvas.height = fontSize + 8;
+
+        context.font = `bold ${fontSize}px Arial`;
+        context.fillStyle = '#ffffff';
+        context.strokeStyle = '#000000';
+        context.lineWidth = 4;
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.strokeText(text, canvas.width / 2, canvas.height / 2);
+        context.fillText(text, canvas.width / 2, canvas.height / 2);
+
+        return new THREE.CanvasTexture(canvas);
+    }
+
+    updatePositions() {
+        const toWorld = (point, level, target) =>
+            CoordinateSystem.indexToWorld(point.inlineIndex, point.crosslineIndex, level, target);
+
+        const regular = this.segments.filter(s => !s.isIndex);
+        const lineVertices = new Float32Array(regular.length * 6);
+        const a = new THREE.Vector3();
+        const b = new THREE.Vector3();
+
+        regular.forEach((segment, i) => {
+            toWorld(segment.from, segment.level, a).toArray(lineVertices, i * 6);
+            toWorld(segment.to, segment.level, b).toArray(lineVertices, i * 6 + 3);
+        });
+
+        // Index contours are flat quads across the segment, so their width does not depend on the GPU
+        const index = this.segments.filter(s => s.isIndex);
+        const ribbonVertices = new Float32Array(index.length * 18);
+        const side = new THREE.Vector3();
+        const halfWidth = ContourConfig.indexWidth / 2;
+
+        index.forEach((segment, i) => {
+            toWorld(segment.from, segment.level, a);
+            toWorld(segment.to, segment.level, b);
+            side.set(a.z - b.z, 0, b.x - a.x).normalize().multiplyScalar(halfWidth);
+
+            const quad = [
+                a.clone().add(side), a.clone().sub(side), b.clone().add(side),
+                a.clone().sub(side), b.clone().sub(side), b.clone().add(side)
+            ];
+            quad.forEach((vertex, j) => vertex.toArray(ribbonVertices, i * 18 + j * 3));
+        });
+
+        this.lines.geometry.setAttribute('position', new THREE.BufferAttribute(lineVertices, 3));
+        this.lines.geometry.computeBoundingSphere();
+        this.ribbons.geometry.setAttribute('position', new THREE.BufferAttribute(ribbonVertices, 3));
+        this.ribbons.geometry.computeBoundingSphere();
+
+        this.labels.forEach((label, i) => {
+            toWorld(label, label.level, this.labelSprites[i].position);
+            this.labelSprites[i].position.y += ContourConfig.labelHeight / 2;
+        });
+    }
+
+    // Draws into a MapView layer; toCanvas maps survey grid indices to canvas pixels
+    drawToMap(ctx, toCanvas) {
+        const stroke = (segments, color, width) => {
+            ctx.strokeStyle = color;
+            ctx.lineWidth = width;
+            ctx.beginPath();
+            segments.forEach(({ from, to }) => {
+                const p = toCanvas(from.inlineIndex, from.crosslineIndex);
+                const q = toCanvas(to.inlineIndex, to.crosslineIndex);
+                ctx.moveTo(p.x, p.y);
+                ctx.lineTo(q.x, q.y);
+            });
+            ctx.stroke();
+        };
+
+        stroke(this.segments.filter(s => !s.isIndex), ContourConfig.mapColor, 0.5);
+        stroke(this.segments.filter(s => s.isIndex), ContourConfig.mapIndexColor, 1.5);
+
+        ctx.fillStyle = ContourConfig.mapIndexColor;
+        ctx.font = '9px Arial';
+        ctx.textAlign = 'center';
+        this.labels.forEach(label => {
+            const p = toCanvas(label.inlineIndex, label.crosslineIndex);
+            ctx.fillText(`${label.level}`, p.x, p.y - 2);
+        });
+    }
+
+    setVisible(visible) {
+        [this.lines, this.ribbons, ...this.labelSprites].forEach(object => {
+            object.visible = visible;
+        });
+    }
+
+    dispose() {
+        [this.lines, this.ribbons].forEach(object => {
+            this.sceneManager.remove(object);
+            object.geometry.dispose();
+            object.material.dispose();
+        });
+
+        const textures = new Set();
+        this.labelSprites.forEach(sprite => {
+            this.sceneManager.remove(sprite);
+            textures.add(sprite.material.map);
+            sprite.material.dispose();
+        });
+        textures.forEach(texture => texture.dispose());
+
+        this.labelSprites = [];
+    }
+}
@@ -0,0 +1,121 @@
+import { HorizonFilterConfig } from '../config/seismic.config.js';
+import { CoordinateSystem } from '../core/coordinate-system.js';
+import { GridFilters } from '../core/grid-filters.js';
+
+// Smoothing and spike detection on a horizon's lattice. Both work on the displayed points' z.
+export class HorizonFilters {
+    // options: { method: 'median' | 'mean', window } over HorizonFilterConfig.
+    // Returns new points at the same nodes; the horizon itself is not changed.
+    static smooth(horizon, options = {}) {
+        const { method, window } = { ...HorizonFilterConfig, ...options };
+        const { lattice, points } = horizon;
+        const smoothed = GridFilters.smooth(HorizonFilters._grid(horizon), lattice.rows, lattice.columns, { method, window });
+
+        const result = [];
+        lattice.nodes.forEach((i, key) => {
+            if (i !== -1) result.push({ inline: points[i].inline, crossline: points[i].crossline, z: smoothed[key] });
+        });
+        return result;
+    }
+
+    // options: { threshold, window } over HorizonFilterConfig.spikeThreshold / spikeWindow.
+    // Returns { index, inline, crossline, z, expected, deviation } per spike, largest first,
+    // with index pointing into horizon.points.
+    static findSpikes(horizon, options = {}) {
+        const threshold = options.threshold ?? HorizonFilterConfig.spikeThreshold;
+        const window = options.window ?? HorizonFilterConfig.spikeWindow;
+        const { lattice, points } = horizon;
+
+        return GridFilters.spikes(HorizonFilters._grid(horizon), lattice.rows, lattice.columns, { threshold, window })
+            .map(({ node, expected, deviation }) => {
+                const index = lattice.nodes[node];
+                const { inline, crossline, z } = points[index];
+                return { index, inline, crossline, z, expected, deviation };
+            });
+    }
+
+    static _grid({ name, lattice, points }) {
+        if (!lattice) {
+            throw new Error(`Horizon ${name} has no points`);
+        }
+
+        const grid = new Float32Array(lattice.nodes.length).fill(NaN);
+        lattice.nodes.forEach((i, key) => {
+            if (i !== -1) grid[key] = points[i].z;
+        });
+        return grid;
+    }
+}
+
+// Markers over the spikes found on a horizon, drawn on top of the surface so buried
+// mis-picks stay visible. One spike at a time can be selected, e.g. from the spike table.
+export class HorizonSpikes {
+    constructor(sceneManager, horizon, spikes) {
+        this.sceneManager = sceneManager;
+        this.horizon = horizon;
+        this.spikes = spikes;
+        this.selected = -1;
+        this.markers = null;
+
+        this._create();
+    }
+
+    _create() {
+        const geometry = new THREE.BufferGeometry();
+        const material = new THREE.PointsMaterial({
+            size: HorizonFilterConfig.spikeSize,
+            sizeAttenuation: false,
+            vertexColors: true,
+            depthTest: false
+        });
+
+        this.markers = new THREE.Points(geometry, material);
+        this.markers.renderOrder = 60;
+        this.markers.visible = this.horizon.visible;
+
+        this.updatePositions();
+        this._updateColors();
+        this.sceneManager.add(this.markers);
+    }
+
+    updatePositions() {
+        const positions = new Float32Array(this.spikes.length * 3);
+        const position = new THREE.Vector3();
+
+        this.spikes.forEach((spike, i) => {
+            CoordinateSystem.surveyToWorld(spike.inline, spike.crossline, spike.z, position);
+            position.toArray(positions, i * 3);
+        });
+
+        this.markers.geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        this.markers.geometry.computeBoundingSphere();
+    }
+
+    _updateColors() {
+        const colors = new Float32Array(this.spikes.length * 3);
+        const color = new THREE.Color();
+
+        this.spikes.forEach((spike, i) => {
+            color.setHex(i === this.selected ? HorizonFilterConfig.selectedSpikeColor : HorizonFilterConfig.spikeColor);
+            color.toArray(colors, i * 3);
+        });
+
+        this.markers.geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+    }
+
+    // i indexes the spike list; -1 clears the selection
+    select(i) {
+        this.selected = i;
+        this._updateColors();
+    }
+
+    setVisible(visible) {
+        this.markers.visible = visible;
+    }
+
+    dispose() {
+        this.sceneManager.remove(this.markers);
+        this.markers.geometry.dispose();
+        this.markers.material.dispose();
+    }
+}
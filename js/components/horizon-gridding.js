@@ -0,0 +1,86 @@
+import { GriddingConfig } from '../config/seismic.config.js';
+import { CoordinateSystem } from '../core/coordinate-system.js';
+import { WorkerClient } from '../core/worker-client.js';
+import { HorizonLattice } from './horizon-lattice.js';
+
+// Interpolates a horizon's raw points over a full inline/crossline grid in a worker.
+// Visible faults can act as barriers: nothing is interpolated across their trace on the horizon.
+export class HorizonGridding {
+    // options: { method, searchRadius, useFaults } over GriddingConfig; faults as listed by
+    // FaultLoader. Resolves to horizon points, which the caller hands to horizon.setGridded().
+    static async compute(horizon, options = {}, faults = []) {
+        const settings = { ...GriddingConfig, ...options };
+        const points = horizon.rawPoints;
+        if (points.length === 0) {
+            throw new Error(`Horizon ${horizon.name} has no points to grid`);
+        }
+
+        const target = HorizonGridding._targetGrid(new HorizonLattice(points));
+        const grid = new Float32Array(target.rows * target.columns).fill(NaN);
+        points.forEach(point => {
+            const row = Math.round((CoordinateSystem.inlineNumberToIndex(point.inline) - target.inlineStart) / target.step);
+            const column = Math.round((CoordinateSystem.crosslineNumberToIndex(point.crossline) - target.crosslineStart) / target.step);
+            const key = row * target.columns + column;
+            if (Number.isNaN(grid[key])) grid[key] = point.z;
+        });
+
+        const triangles = settings.useFaults ? HorizonGridding._faultTriangles(target, faults) : null;
+
+        const { values } = await HorizonGridding._worker.request({
+            grid,
+            rows: target.rows,
+            columns: target.columns,
+            triangles,
+            options: {
+                method: settings.method,
+                radius: settings.searchRadius,
+                power: settings.power,
+                neighbours: settings.maxNeighbours,
+                iterations: settings.iterations,
+                tolerance: settings.tolerance
+            }
+        }, [grid.buffer]);
+
+        const gridded = [];
+        values.forEach((z, key) => {
+            if (!Number.isFinite(z)) return;
+
+            gridded.push({
+                inline: CoordinateSystem.indexToInlineNumber(target.inlineStart + Math.floor(key / target.columns) * target.step),
+                crossline: CoordinateSystem.indexToCrosslineNumber(target.crosslineStart + (key % target.columns) * target.step),
+                z
+            });
+        });
+
+        return gridded;
+    }
+
+    // The points' extent at their finer line spacing on both axes, so picks made every
+    // few inlines fill in between the lines rather than only along them
+    static _targetGrid(lattice) {
+        const step = Math.min(lattice.inlineStep, lattice.crosslineStep);
+        return {
+            step,
+            inlineStart: lattice.inlineStart,
+            crosslineStart: lattice.crosslineStart,
+            rows: Math.round((lattice.rows - 1) * lattice.inlineStep / step) + 1,
+            columns: Math.round((lattice.columns - 1) * lattice.crosslineStep / step) + 1
+        };
+    }
+
+    // Triangles of the visible faults as [{ row, column, z }] target grid positions
+    static _faultTriangles(target, faults) {
+        const toGrid = (point) => ({
+            row: (point.inline_n - target.inlineStart) / target.step,
+            column: (point.crossline_n - target.crosslineStart) / target.step,
+            z: point.time
+        });
+
+        return faults
+            .filter(fault => fault.isVisible())
+            .flatMap(fault => fault.getTriangles())
+            .map(triangle => triangle.map(toGrid));
+    }
+}
+
+HorizonGridding._worker = new WorkerClient(new URL('../workers/horizon-gridding.worker.js', import.meta.url));
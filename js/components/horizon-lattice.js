@@ -0,0 +1,64 @@
+import { CoordinateSystem } from '../core/coordinate-system.js';
+
+// Regular inline/crossline grid behind a horizon's scattered samples.
+// Rows follow inlines and columns follow crosslines, both at the horizon's own spacing.
+export class HorizonLattice {
+    constructor(points) {
+        const indices = points.map(point => ({
+            inline: CoordinateSystem.inlineNumberToIndex(point.inline),
+            crossline: CoordinateSystem.crosslineNumberToIndex(point.crossline)
+        }));
+
+        this.inlineStep = HorizonLattice._latticeStep(indices.map(p => p.inline));
+        this.crosslineStep = HorizonLattice._latticeStep(indices.map(p => p.crossline));
+        this.inlineStart = indices.reduce((min, p) => Math.min(min, p.inline), Infinity);
+        this.crosslineStart = indices.reduce((min, p) => Math.min(min, p.crossline), Infinity);
+
+        const cells = indices.map(p => [
+            Math.round((p.inline - this.inlineStart) / this.inlineStep),
+            Math.round((p.crossline - this.crosslineStart) / this.crosslineStep)
+        ]);
+        this.rows = cells.reduce((max, [row]) => Math.max(max, row + 1), 0);
+        this.columns = cells.reduce((max, [, column]) => Math.max(max, column + 1), 0);
+
+        // Point index per node, -1 where empty; the first sample wins where two round to one node
+        this.nodes = new Int32Array(this.rows * this.columns).fill(-1);
+        cells.forEach(([row, column], i) => {
+            const key = row * this.columns + column;
+            if (this.nodes[key] === -1) this.nodes[key] = i;
+        });
+    }
+
+    node(row, column) {
+        if (row < 0 || column < 0 || row >= this.rows || column >= this.columns) return -1;
+        return this.nodes[row * this.columns + column];
+    }
+
+    // Fractional lattice position to survey grid indices
+    toIndices(row, column) {
+        return {
+            inlineIndex: this.inlineStart + row * this.inlineStep,
+            crosslineIndex: this.crosslineStart + column * this.crosslineStep
+        };
+    }
+
+    // Most common spacing between neighbouring line indices, so decimated grids still connect
+    static _latticeStep(values) {
+        const unique = [...new Set(values.map(v => Math.round(v * 1000) / 1000))].sort((a, b) => a - b);
+        const counts = new Map();
+        let best = 1;
+        let bestCount = 0;
+
+        for (let i = 1; i < unique.length; i++) {
+            const step = Math.round((unique[i] - unique[i - 1]) * 1000) / 1000;
+            const count = (counts.get(step) || 0) + 1;
+            counts.set(step, count);
+            if (count > bestCount) {
+                best = step;
+                bestCount = count;
+            }
+        }
+
+        return best;
+    }
+}
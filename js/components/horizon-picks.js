@@ -0,0 +1,82 @@
+import { CoordinateSystem } from '../core/coordinate-system.js';
+
+// Editable interpretation of one horizon: at most one two-way time per trace,
+// keyed by survey grid indices. Later picks on a trace replace earlier ones.
+export class HorizonPicks {
+    constructor() {
+        this.picks = new Map();
+    }
+
+    static _key(inlineIndex, crosslineIndex) {
+        return `${inlineIndex},${crosslineIndex}`;
+    }
+
+    set(inlineIndex, crosslineIndex, time) {
+        const il = Math.round(inlineIndex);
+        const xl = Math.round(crosslineIndex);
+        this.picks.set(HorizonPicks._key(il, xl), { inlineIndex: il, crosslineIndex: xl, time });
+    }
+
+    merge(picks) {
+        picks.forEach(({ inlineIndex, crosslineIndex, time }) => this.set(inlineIndex, crosslineIndex, time));
+    }
+
+    // Removes picks within `radius` traces of a point; returns how many went
+    removeNear(inlineIndex, crosslineIndex, radius) {
+        return this._removeWhere(pick =>
+            Math.abs(pick.inlineIndex - inlineIndex) <= radius &&
+            Math.abs(pick.crosslineIndex - crosslineIndex) <= radius
+        );
+    }
+
+    // polygon of { inline, crossline } in grid indices, as drawn on the MapView
+    removeInPolygon(polygon) {
+        return this._removeWhere(pick => HorizonPicks._insidePolygon(pick, polygon));
+    }
+
+    _removeWhere(predicate) {
+        let removed = 0;
+        this.picks.forEach((pick, key) => {
+            if (predicate(pick)) {
+                this.picks.delete(key);
+                removed++;
+            }
+        });
+        return removed;
+    }
+
+    static _insidePolygon({ inlineIndex, crosslineIndex }, polygon) {
+        let inside = false;
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            const a = polygon[i];
+            const b = polygon[j];
+            if ((a.crossline > crosslineIndex) !== (b.crossline > crosslineIndex) &&
+                inlineIndex < (b.inline - a.inline) * (crosslineIndex - a.crossline) / (b.crossline - a.crossline) + a.inline) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    get size() {
+        return this.picks.size;
+    }
+
+    // Horizon points in survey line numbers, the layout every horizon uses
+    toPoints() {
+        return [...this.picks.values()].map(({ inlineIndex, crosslineIndex, time }) => ({
+            inline: CoordinateSystem.indexToInlineNumber(inlineIndex),
+            crossline: CoordinateSystem.indexToCrosslineNumber(crosslineIndex),
+            z: time
+        }));
+    }
+
+    // Same Inline/Crossline layout the horizon loader reads, with the horizon name as Z column
+    static toCSV(horizon) {
+        const rows = horizon.picks.toPoints().map(point =>
+            [point.inline, point.crossline, point.z.toFixed(2)].join(',')
+        );
+
+        return [`Inline,Crossline,${horizon.name}`, ...rows].join('\n');
+    }
+}
@@ -0,0 +1,307 @@
+import { SeismicConfig } from '../config/seismic.config.js';
+import { SurveyConfig } from '../config/survey.config.js';
+import { CoordinateSystem } from '../core/coordinate-system.js';
+
+// Grid exports use huge sentinels (1e30 and similar) for empty nodes
+const NULL_THRESHOLD = 1e29;
+
+// Horizon file formats behind one interface: read(text) returns { name, points } with points
+// of { inline, crossline, z } in survey line numbers, as Horizon expects.
+export class HorizonReader {
+    constructor(options = {}) {
+        this.options = options;
+    }
+
+    read(text) {
+        throw new Error('Subclass must implement read()');
+    }
+
+    static _isNull(value, nullValue) {
+        return !Number.isFinite(value) || Math.abs(value) >= NULL_THRESHOLD || value === nullValue;
+    }
+
+    static _lines(text) {
+        return text.split(/\r?\n/).map(line => line.trim()).filter(line => line.length > 0);
+    }
+
+    static _numbers(line) {
+        return line.split(/[\s,]+/).filter(token => token.length > 0).map(Number);
+    }
+
+    // Scattered X/Y/Z snapped to the nearest survey bin; samples sharing a bin are averaged
+    static _binProjected(samples) {
+        const bins = new Map();
+
+        samples.forEach(({ x, y, z }) => {
+            const { inline, crossline } = CoordinateSystem.projectedToIndex(x, y);
+            const inlineIndex = Math.round(inline);
+            const crosslineIndex = Math.round(crossline);
+            if (!HorizonReader._insideSurvey(inlineIndex, crosslineIndex)) return;
+
+            const key = `${inlineIndex},${crosslineIndex}`;
+            const bin = bins.get(key) || { inlineIndex, crosslineIndex, sum: 0, count: 0 };
+            bin.sum += z;
+            bin.count++;
+            bins.set(key, bin);
+        });
+
+        return [...bins.values()].map(({ inlineIndex, crosslineIndex, sum, count }) => ({
+            inline: CoordinateSystem.indexToInlineNumber(inlineIndex),
+            crossline: CoordinateSystem.indexToCrosslineNumber(crosslineIndex),
+            z: sum / count
+        }));
+    }
+
+    static _insideSurvey(inlineIndex, crosslineIndex) {
+        return inlineIndex >= 0 && inlineIndex < SeismicConfig.inlineCount &&
+            crosslineIndex >= 0 && crosslineIndex < SeismicConfig.crosslineCount;
+    }
+}
+
+// Regular grid in projected X/Y, resampled onto survey bins with bilinear interpolation.
+// values are row-major from the north-west node; rows run south, columns run east.
+export class ProjectedGrid {
+    constructor({ rows, columns, xMin, xMax, yMin, yMax, values }) {
+        this.rows = rows;
+        this.columns = columns;
+        this.xMin = xMin;
+        this.yMax = yMax;
+        this.dx = columns > 1 ? (xMax - xMin) / (columns - 1) : 1;
+        this.dy = rows > 1 ? (yMax - yMin) / (rows - 1) : 1;
+        this.values = values;
+    }
+
+    // Bilinear between the four surrounding nodes; NaN outside the grid or next to a hole
+    sample(x, y) {
+        const column = (x - this.xMin) / this.dx;
+        const row = (this.yMax - y) / this.dy;
+        if (column < 0 || row < 0 || column > this.columns - 1 || row > this.rows - 1) return NaN;
+
+        const c0 = Math.min(Math.floor(column), this.columns - 2);
+        const r0 = Math.min(Math.floor(row), this.rows - 2);
+        const tc = column - c0;
+        const tr = row - r0;
+        const at = (r, c) => this.values[r * this.columns + c];
+
+        const top = at(r0, c0) * (1 - tc) + at(r0, c0 + 1) * tc;
+        const bottom = at(r0 + 1, c0) * (1 - tc) + at(r0 + 1, c0 + 1) * tc;
+        return top * (1 - tr) + bottom * tr;
+    }
+
+    // Samples at every n-th survey bin, n chosen so bins are about as dense as grid nodes
+    toPoints() {
+        const inlineStep = Math.max(1, Math.round(Math.min(this.dx, this.dy) / SurveyConfig.binSpacing.inline));
+        const crosslineStep = Math.max(1, Math.round(Math.min(this.dx, this.dy) / SurveyConfig.binSpacing.crossline));
+        const points = [];
+
+        for (let inlineIndex = 0; inlineIndex < SeismicConfig.inlineCount; inlineIndex += inlineStep) {
+            for (let crosslineIndex = 0; crosslineIndex < SeismicConfig.crosslineCount; crosslineIndex += crosslineStep) {
+                const { x, y } = CoordinateSystem.indexToProjected(inlineIndex, crosslineIndex);
+                const z = this.sample(x, y);
+                if (!Number.isFinite(z)) continue;
+
+                points.push({
+                    inline: CoordinateSystem.indexToInlineNumber(inlineIndex),
+                    crossline: CoordinateSystem.indexToCrosslineNumber(crosslineIndex),
+                    z
+                });
+            }
+        }
+
+        return points;
+    }
+}
+
+// Comma-separated Inline, Crossline and a named Z column; one horizon per Z column.
+// Without options.zColumn the first other column is used.
+export class CsvHorizonReader extends HorizonReader {
+    read(text) {
+        const lines = text.trim().split('\n');
+        const headers = lines[0].split(',').map(h => h.trim());
+        const zColumn = this.options.zColumn ?? headers.find(h => h !== 'Inline' && h !== 'Crossline');
+
+        const inlineIdx = headers.indexOf('Inline');
+        const crosslineIdx = headers.indexOf('Crossline');
+        const zIdx = headers.indexOf(zColumn);
+
+        if (inlineIdx === -1 || crosslineIdx === -1 || zIdx === -1) {
+            throw new Error(
+                `Required columns not found. Need: Inline, Crossline, ${zColumn}. ` +
+                `Found: ${headers.join(', ')}`
+            );
+        }
+
+        const points = [];
+        for (let i = 1; i < lines.length; i++) {
+            const values = lines[i].split(',');
+            if (values.length < headers.length) continue;
+
+            const inline = parseFloat(values[inlineIdx]);
+            const crossline = parseFloat(values[crosslineIdx]);
+            const z = parseFloat(values[zIdx]);
+
+            if (isNaN(inline) || isNaN(crossline) || isNaN(z)) continue;
+
+            points.push({ inline, crossline, z });
+        }
+
+        return { name: zColumn, points };
+    }
+}
+
+// ZMAP+ ASCII grid: '!' comments, an '@' header block, then values column by column,
+// each column running from the northern edge southwards
+export class ZmapHorizonReader extends HorizonReader {
+    read(text) {
+        const lines = HorizonReader._lines(text)
+            .filter(line => !line.startsWith('!'))
+            .map(line => line.replace(/,\s*$/, ''));
+        const start = lines.findIndex(line => line.startsWith('@'));
+        const end = lines.findIndex((line, i) => i > start && line.startsWith('@'));
+        if (start === -1 || end === -1) {
+            throw new Error('ZMAP+ header not found');
+        }
+
+        const name = lines[start].slice(1).split(',')[0].trim();
+        const header = lines.slice(start + 1, end).join(',').split(',').map(token => token.trim());
+        // fieldWidth, nullValue, nullString, decimals, startColumn, rows, columns, xMin, xMax, yMin, yMax
+        const nullValue = parseFloat(header[1]);
+        const [rows, columns, xMin, xMax, yMin, yMax] = header.slice(5, 11).map(Number);
+        if (!(rows > 0 && columns > 0)) {
+            throw new Error(`ZMAP+ grid has an invalid size: ${rows} x ${columns}`);
+        }
+
+        const stream = lines.slice(end + 1).flatMap(HorizonReader._numbers);
+        if (stream.length < rows * columns) {
+            throw new Error(`ZMAP+ grid has ${stream.length} values, expected ${rows * columns}`);
+        }
+
+        const values = new Float64Array(rows * columns);
+        for (let column = 0; column < columns; column++) {
+            for (let row = 0; row < rows; row++) {
+                const value = stream[column * rows + row];
+                values[row * columns + column] = HorizonReader._isNull(value, nullValue) ? NaN : value;
+            }
+        }
+
+        const grid = new ProjectedGrid({ rows, columns, xMin, xMax, yMin, yMax, values });
+        return { name: name || this.options.name, points: grid.toPoints() };
+    }
+}
+
+// EarthVision ASCII grid: '#' header with Field, Grid_size and Grid_space entries, then one
+// node per line. Without the grid entries the nodes are read as scattered X/Y/Z.
+export class EarthVisionHorizonReader extends HorizonReader {
+    read(text) {
+        const lines = HorizonReader._lines(text);
+        const fields = {};
+        let size = null;
+        let space = null;
+
+        lines.filter(line => line.startsWith('#')).forEach(line => {
+            const [key, ...rest] = line.slice(1).split(':');
+            const value = rest.join(':').trim();
+
+            switch (key.trim().toLowerCase()) {
+                case 'field': {
+                    const [position, fieldName] = value.split(/\s+/);
+                    fields[fieldName.toLowerCase()] = parseInt(position) - 1;
+                    break;
+                }
+                case 'grid_size':
+                    size = value.split(/\s*x\s*/i).map(Number);
+                    break;
+                case 'grid_space':
+                    space = value.split(',').map(Number);
+                    break;
+            }
+        });
+
+        const columnOf = (fieldName, fallback) => fields[fieldName] ?? fallback;
+        const xIdx = columnOf('x', 0);
+        const yIdx = columnOf('y', 1);
+        const zIdx = columnOf('z', 2);
+        const colIdx = columnOf('column', -1);
+        const rowIdx = columnOf('row', -1);
+
+        const records = lines.filter(line => !line.startsWith('#')).map(HorizonReader._numbers);
+        const name = this.options.name;
+
+        if (size && space && colIdx !== -1 && rowIdx !== -1) {
+            // Grid_size is columns x rows; row 1 is the southern edge
+            const [columns, rows] = size;
+            const [xMin, xMax, yMin, yMax] = space;
+            const values = new Float64Array(rows * columns).fill(NaN);
+
+            records.forEach(record => {
+                const z = record[zIdx];
+                const column = record[colIdx] - 1;
+                const row = rows - record[rowIdx];
+                if (HorizonReader._isNull(z) || column < 0 || column >= columns || row < 0 || row >= rows) return;
+                values[row * columns + column] = z;
+            });
+
+            const grid = new ProjectedGrid({ rows, columns, xMin, xMax, yMin, yMax, values });
+            return { name, points: grid.toPoints() };
+        }
+
+        const samples = records
+            .map(record => ({ x: record[xIdx], y: record[yIdx], z: record[zIdx] }))
+            .filter(({ x, y, z }) => Number.isFinite(x) && Number.isFinite(y) && !HorizonReader._isNull(z));
+        return { name, points: HorizonReader._binProjected(samples) };
+    }
+}
+
+// Plain X Y Z lists in projected coordinates, whitespace or comma separated.
+// Lines that do not start with three numbers (headers, comments) are skipped.
+export class XyzHorizonReader extends HorizonReader {
+    read(text) {
+        const samples = [];
+
+        HorizonReader._lines(text).forEach(line => {
+            const [x, y, z] = HorizonReader._numbers(line);
+            if (!Number.isFinite(x) || !Number.isFinite(y) || HorizonReader._isNull(z)) return;
+            samples.push({ x, y, z });
+        });
+
+        return { name: this.options.name, points: HorizonReader._binProjected(samples) };
+    }
+}
+
+export class HorizonReaderFactory {
+    static register(format, ReaderClass, extensions = []) {
+        HorizonReaderFactory._registry.set(format, { ReaderClass, extensions });
+    }
+
+    static create(format, options = {}) {
+        const entry = HorizonReaderFactory._registry.get(format);
+        if (!entry) {
+            throw new Error(`Unknown horizon format: ${format}`);
+        }
+        return new entry.ReaderClass(options);
+    }
+
+    static getFormats() {
+        return [...HorizonReaderFactory._registry.keys()];
+    }
+
+    // By the file's opening lines first, as extensions like .dat and .txt are shared
+    static detectFormat(fileName, text) {
+        const head = HorizonReader._lines(text.slice(0, 4096));
+        if (head.some(line => line.startsWith('@'))) return 'zmap';
+        if (head.some(line => /^#\s*(Type|Field|Grid_size)\s*:/i.test(line))) return 'earthvision';
+        if (head.length > 0 && /\bInline\b/.test(head[0]) && /\bCrossline\b/.test(head[0])) return 'csv';
+
+        const extension = (fileName || '').split('.').pop().toLowerCase();
+        for (const [format, { extensions }] of HorizonReaderFactory._registry) {
+            if (extensions.includes(extension)) return format;
+        }
+        return 'xyz';
+    }
+}
+
+HorizonReaderFactory._registry = new Map();
+HorizonReaderFactory.register('csv', CsvHorizonReader);
+HorizonReaderFactory.register('zmap', ZmapHorizonReader, ['zmap', 'zmp']);
+HorizonReaderFactory.register('earthvision', EarthVisionHorizonReader, ['ev', '2grd']);
+HorizonReaderFactory.register('xyz', XyzHorizonReader, ['xyz']);
@@ -0,0 +1,154 @@
+import { PickingConfig } from '../config/seismic.config.js';
+
+// Follows a seismic event (peak, trough or zero crossing) from trace to trace of a SEG-Y volume.
+// Works in survey grid indices and two-way time; a neighbour is accepted when the same event
+// lies within PickingConfig.trackWindow and its waveform correlates with the previous trace.
+export class HorizonTracker {
+    constructor(volume) {
+        this.volume = volume;
+    }
+
+    // Time of the event nearest to `time` within PickingConfig.snapWindow, or null
+    snap(inlineIndex, crosslineIndex, time, event) {
+        const trace = this.volume.getTrace(inlineIndex, crosslineIndex);
+        if (!trace) return null;
+
+        const sample = this._timeToSample(time);
+        const found = HorizonTracker.findEvent(
+            trace, sample, PickingConfig.snapWindow / this.volume.sampleInterval, event
+        );
+        return found === null ? null : this._sampleToTime(found);
+    }
+
+    // Picks { inlineIndex, crosslineIndex, time } grown outwards from the seed. scope 'section'
+    // stays on the clicked inline or crossline; 'volume' spreads to all four neighbours.
+    track(seed, { event, scope, orientation }) {
+        const { sampleInterval } = this.volume;
+        const geometry = this.volume.getGeometry();
+        const searchHalf = PickingConfig.trackWindow / sampleInterval;
+        const windowHalf = Math.max(1, Math.round(PickingConfig.correlationWindow / sampleInterval));
+
+        const seedTrace = this.volume.getTrace(seed.inlineIndex, seed.crosslineIndex);
+        if (!seedTrace) {
+            throw new Error('No trace at the seed point');
+        }
+
+        const seedSample = HorizonTracker.findEvent(
+            seedTrace, this._timeToSample(seed.time), PickingConfig.snapWindow / sampleInterval, event
+        );
+        if (seedSample === null) {
+            throw new Error(`No ${event} near the seed point`);
+        }
+
+        const steps = scope === 'volume'
+            ? [[1, 0], [-1, 0], [0, 1], [0, -1]]
+            : orientation === 'inline' ? [[0, 1], [0, -1]] : [[1, 0], [-1, 0]];
+
+        const key = (inlineIndex, crosslineIndex) => inlineIndex * geometry.crosslineCount + crosslineIndex;
+        const visited = new Set([key(seed.inlineIndex, seed.crosslineIndex)]);
+        const queue = [{ inlineIndex: seed.inlineIndex, crosslineIndex: seed.crosslineIndex, sample: seedSample }];
+        const picks = [];
+        const trace = new Float32Array(this.volume.sampleCount);
+        const neighbour = new Float32Array(this.volume.sampleCount);
+
+        for (let head = 0; head < queue.length && picks.length < PickingConfig.maxTrackedTraces; head++) {
+            const current = queue[head];
+            picks.push({
+                inlineIndex: current.inlineIndex,
+                crosslineIndex: current.crosslineIndex,
+                time: this._sampleToTime(current.sample)
+            });
+
+            if (!this.volume.getTrace(current.inlineIndex, current.crosslineIndex, trace)) continue;
+
+            steps.forEach(([di, dc]) => {
+                const inlineIndex = current.inlineIndex + di;
+                const crosslineIndex = current.crosslineIndex + dc;
+                const id = key(inlineIndex, crosslineIndex);
+                if (visited.has(id) || !this.volume.getTrace(inlineIndex, crosslineIndex, neighbour)) return;
+
+                const sample = HorizonTracker.findEvent(neighbour, current.sample, searchHalf, event);
+                if (sample === null) return;
+
+                const correlation = HorizonTracker.correlate(
+                    trace, Math.round(current.sample), neighbour, Math.round(sample), windowHalf
+                );
+                if (correlation < PickingConfig.minCorrelation) return;
+
+                visited.add(id);
+                queue.push({ inlineIndex, crosslineIndex, sample });
+            });
+        }
+
+        return picks;
+    }
+
+    // Fractional sample of the event closest to `centre` within ±halfWidth samples, or null.
+    // Peaks and troughs are refined with a parabola through three samples.
+    static findEvent(trace, centre, halfWidth, event) {
+        const first = Math.max(1, Math.floor(centre - halfWidth));
+        const last = Math.min(trace.length - 2, Math.ceil(centre + halfWidth));
+        let best = null;
+
+        for (let i = first; i <= last; i++) {
+            const candidate = HorizonTracker._eventAt(trace, i, event);
+            if (candidate === null || Math.abs(candidate - centre) > halfWidth) continue;
+            if (best === null || Math.abs(candidate - centre) < Math.abs(best - centre)) {
+                best = candidate;
+            }
+        }
+
+        return best;
+    }
+
+    static _eventAt(trace, i, event) {
+        const [a, b, c] = [trace[i - 1], trace[i], trace[i + 1]];
+
+        switch (event) {
+            case 'peak':
+                if (!(b > 0 && b >= a && b > c)) return null;
+                return i + HorizonTracker._parabolaOffset(a, b, c);
+            case 'trough':
+                if (!(b < 0 && b <= a && b < c)) return null;
+                return i + HorizonTracker._parabolaOffset(a, b, c);
+            case 'zeroCrossing':
+                // Positive to negative going down the trace, interpolated between i and i + 1
+                if (!(b >= 0 && c < 0)) return null;
+                return i + b / (b - c);
+            default:
+                throw new Error(`Unknown seismic event: ${event}`);
+        }
+    }
+
+    static _parabolaOffset(a, b, c) {
+        const denominator = a - 2 * b + c;
+        return denominator !== 0 ? 0.5 * (a - c) / denominator : 0;
+    }
+
+    // Normalised cross-correlation of two windows of ±halfWidth samples
+    static correlate(traceA, centreA, traceB, centreB, halfWidth) {
+        let sumAB = 0;
+        let sumAA = 0;
+        let sumBB = 0;
+
+        for (let offset = -halfWidth; offset <= halfWidth; offset++) {
+            const a = traceA[centreA + offset];
+            const b = traceB[centreB + offset];
+            if (a === undefined || b === undefined) continue;
+
+            sumAB += a * b;
+            sumAA += a * a;
+            sumBB += b * b;
+        }
+
+        return sumAA > 0 && sumBB > 0 ? sumAB / Math.sqrt(sumAA * sumBB) : 0;
+    }
+
+    _timeToSample(time) {
+        return (time - this.volume.startTime) / this.volume.sampleInterval;
+    }
+
+    _sampleToTime(sample) {
+        return this.volume.startTime + sample * this.volume.sampleInterval;
+    }
+}
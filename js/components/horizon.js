@@ -1,37 +1,70 @@
-import { SeismicConfig, StyleConfig } from '../config/seismic.config.js';
+import { ContourConfig, HorizonAttributeConfig, HorizonConfig, HorizonFilterConfig, StyleConfig } from '../config/seismic.config.js';
 import { CoordinateSystem } from '../core/coordinate-system.js';
+import { Colormap } from '../core/colormap.js';
+import { HorizonAttributes } from './horizon-attributes.js';
+import { HorizonContours } from './horizon-contours.js';
+import { HorizonFilters, HorizonSpikes } from './horizon-filters.js';
+import { HorizonLattice } from './horizon-lattice.js';
+import { HorizonPicks } from './horizon-picks.js';
+import { HorizonReaderFactory } from './horizon-readers.js';
+import { Isochron } from './isochron.js';
 
 export class Horizon {
 
     constructor(sceneManager) {
         this.sceneManager = sceneManager;
-        this.pointCloud = null;
+        this.id = null;
+        this.name = null;
+        this.object = null;
+        this.points = [];
+        this.lattice = null;
+        this.triangles = null;
+        this.contours = null;
+        this.renderMode = HorizonConfig.renderMode;
         this.visible = true;
+        this.opacity = HorizonConfig.opacity;
+
+        // Colormap range in horizon units, defaulting to the data range
+        this.colormap = HorizonConfig.colormap;
+        this.dataRange = null;
+        this.colorRange = null;
+
+        // Surface attribute the colors show, or null for the points' own values.
+        // attributeCache holds one pending or finished computation per attribute name.
+        this.colorProperty = null;
+        this._requestedProperty = null;
+        this.attributeCache = new Map();
+        this._attributeValues = null;
+
+        // { top, bottom, statistics } when this layer is a thickness between two horizons
+        this.isochron = null;
+        // HorizonPicks when this horizon is interpreted in the viewer
+        this.picks = null;
+        // Points as loaded or picked, and interpolated over the full lattice once gridded;
+        // version says which of the two is displayed
+        this.rawPoints = [];
+        this.griddedPoints = null;
+        this.version = 'raw';
+        // HorizonSpikes marking the last spike check, until the points change
+        this.spikes = null;
+        this._mapImage = null;
 
         this.minZ = Infinity;
         this.maxZ = -Infinity;
     }
 
 
-    async load(csvUrl, zColumnName) {
-        console.log(`Loading horizon: ${csvUrl}`);
+    // options: { format, zColumn, name }; the format is detected from the url and contents when omitted
+    async load(url, options = {}) {
+        console.log(`Loading horizon: ${url}`);
 
         try {
-            const response = await fetch(csvUrl);
+            const response = await fetch(url);
             if (!response.ok) {
                 throw new Error(`HTTP error! status: ${response.status}`);
             }
 
-            const text = await response.text();
-            const data = this._parseCSV(text, zColumnName);
-
-            if (data.points.length === 0) {
-                console.warn('No valid horizon points found');
-                return;
-            }
-
-            this._createPointCloud(data);
-            console.log(`Horizon loaded: ${data.points.length} points`);
+            this.read(await response.text(), { fileName: url, ...options });
 
         } catch (error) {
             console.error('Failed to load horizon:', error);
@@ -39,92 +72,449 @@ export class Horizon {
         }
     }
 
-    _parseCSV(text, zColumnName) {
-        const lines = text.trim().split('\n');
-        const headers = lines[0].split(',').map(h => h.trim());
+    read(text, options = {}) {
+        const format = options.format || HorizonReaderFactory.detectFormat(options.fileName, text);
+        const { name, points } = HorizonReaderFactory.create(format, options).read(text);
+        this.name = options.name || name || Horizon._baseName(options.fileName);
 
-        const inlineIdx = headers.indexOf('Inline');
-        const crosslineIdx = headers.indexOf('Crossline');
-        const zIdx = headers.indexOf(zColumnName);
-
-        if (inlineIdx === -1 || crosslineIdx === -1 || zIdx === -1) {
-            throw new Error(
-                `Required columns not found. Need: Inline, Crossline, ${zColumnName}. ` +
-                `Found: ${headers.join(', ')}`
-            );
+        if (points.length === 0) {
+            console.warn('No valid horizon points found');
+            return;
         }
 
-        const points = [];
-        let minInline = Infinity, maxInline = -Infinity;
-        let minCrossline = Infinity, maxCrossline = -Infinity;
+        this._create(points);
+        console.log(`Horizon loaded: ${points.length} points (${format})`);
+    }
+
+    static _baseName(fileName) {
+        return (fileName || 'Horizon').split('/').pop().replace(/\.[^.]*$/, '');
+    }
+
+    // A horizon built from points already in memory rather than a CSV
+    static fromPoints(sceneManager, name, points) {
+        const horizon = new Horizon(sceneManager);
+        horizon.name = name;
+        horizon._create(points);
+        return horizon;
+    }
+
+    // Replaces the horizon's data, e.g. after its picks were edited. A gridded version made
+    // from the old points no longer applies and is dropped.
+    setPoints(points) {
+        this.rawPoints = points;
+        this.griddedPoints = null;
+        this.version = 'raw';
+        this._rebuild(points);
+    }
+
+    // points: { inline, crossline, z } filling the lattice, as made by HorizonGridding
+    setGridded(points) {
+        this.griddedPoints = points;
+        this.version = 'gridded';
+        this._rebuild(points);
+    }
+
+    hasGridded() {
+        return this.griddedPoints !== null;
+    }
+
+    // 'raw' | 'gridded'
+    setVersion(version) {
+        if (version === this.version || (version === 'gridded' && !this.griddedPoints)) return;
 
-        for (let i = 1; i < lines.length; i++) {
-            const values = lines[i].split(',');
-            if (values.length < headers.length) continue;
+        this.version = version;
+        this._rebuild(version === 'gridded' ? this.griddedPoints : this.rawPoints);
+    }
+
+    getVersion() {
+        return this.version;
+    }
 
-            const inline = parseFloat(values[inlineIdx]);
-            const crossline = parseFloat(values[crosslineIdx]);
-            const z = parseFloat(values[zIdx]);
+    // Rebuilds the displayed surface from points, keeping its colormap and contour interval
+    _rebuild(points) {
+        const interval = this.getContourInterval();
+        this.setContourInterval(null);
+        this.setSpikes([]);
+        this._disposeObject();
+
+        this.attributeCache.clear();
+        this._attributeValues = null;
+        this._requestedProperty = null;
+        this.colorProperty = null;
+        this._mapImage = null;
+        this.minZ = Infinity;
+        this.maxZ = -Infinity;
 
-            if (isNaN(inline) || isNaN(crossline) || isNaN(z)) continue;
+        if (points.length === 0) {
+            this.points = [];
+            this.lattice = null;
+            this.triangles = null;
+            return;
+        }
 
-            points.push({ inline, crossline, z });
+        this._create(points);
+        this.setContourInterval(interval);
+    }
 
-            minInline = Math.min(minInline, inline);
-            maxInline = Math.max(maxInline, inline);
-            minCrossline = Math.min(minCrossline, crossline);
-            maxCrossline = Math.max(maxCrossline, crossline);
+    _create(points) {
+        if (this.version === 'raw') {
+            this.rawPoints = points;
+        }
+        this.points = points;
+        points.forEach(({ z }) => {
             this.minZ = Math.min(this.minZ, z);
             this.maxZ = Math.max(this.maxZ, z);
+        });
+        this.dataRange = this._pointRange();
+        this.colorRange = { ...this.dataRange };
+        this.lattice = new HorizonLattice(this.points);
+        this.triangles = this._triangulate();
+        this._createObject();
+    }
+
+    _pointRange() {
+        const range = { min: Infinity, max: -Infinity };
+        this.points.forEach(point => {
+            const value = Horizon._colorValue(point);
+            range.min = Math.min(range.min, value);
+            range.max = Math.max(range.max, value);
+        });
+        return range;
+    }
+
+    // Points may carry a value other than their z, e.g. an isochron's thickness
+    static _colorValue(point) {
+        return point.value ?? point.z;
+    }
+
+    // Value shown at a point: the selected attribute, else the point's own value
+    valueAt(i) {
+        return this._attributeValues ? this._attributeValues[i] : Horizon._colorValue(this.points[i]);
+    }
+
+    _computeColors() {
+        const colors = new Float32Array(this.points.length * 3);
+        const color = new THREE.Color();
+
+        this.points.forEach((point, i) => {
+            this.getColor(this.valueAt(i), color).toArray(colors, i * 3);
+        });
+
+        return colors;
+    }
+
+    // Display color of a value under the current colormap and range
+    getColor(value, target = new THREE.Color()) {
+        if (!Number.isFinite(value)) {
+            return target.setHex(HorizonAttributeConfig.nullColor);
         }
 
-        return {
-            points,
-            ranges: {
-                inline: { min: minInline, max: maxInline },
-                crossline: { min: minCrossline, max: maxCrossline },
-                z: { min: this.minZ, max: this.maxZ }
-            }
-        };
+        const { min, max } = this.colorRange;
+        const span = max - min;
+        const t = span !== 0 ? (value - min) / span : 0.5;
+        return Colormap.get(this.colormap).getColor(t, target);
+    }
+
+    _updateColors() {
+        if (this.object) {
+            this.object.geometry.setAttribute('color', new THREE.Float32BufferAttribute(this._computeColors(), 3));
+        }
+    }
+
+    // Switches between the points' own values and a surface attribute, which is computed
+    // off the main thread on first use. A later call wins over one still computing.
+    async setColorProperty(name) {
+        this._requestedProperty = name;
+
+        if (name === null) {
+            this._attributeValues = null;
+            this.colormap = HorizonConfig.colormap;
+            this.dataRange = this._pointRange();
+        } else {
+            const { values, range } = await HorizonAttributes.compute(this, name);
+            if (this._requestedProperty !== name) return;
+
+            this._attributeValues = values;
+            this.colormap = HorizonAttributeConfig.colormaps[name] ?? HorizonConfig.colormap;
+            this.dataRange = { ...range };
+        }
+
+        this.colorProperty = name;
+        this.colorRange = { ...this.dataRange };
+        this._updateColors();
+    }
+
+    getColorProperty() {
+        return this.colorProperty;
+    }
+
+    setColormap(name) {
+        this.colormap = name;
+        this._updateColors();
+    }
+
+    setColorRange(min, max) {
+        this.colorRange = { min, max };
+        this._updateColors();
+    }
+
+    getDataRange() {
+        return { ...this.dataRange };
+    }
+
+    getLegend() {
+        return { colormap: this.colormap, ...this.colorRange };
+    }
+
+    // Contours every interval (horizon units); null or 0 removes them
+    // Intervals below getMinContourInterval() are raised to it, as every level is traced in every cell
+    setContourInterval(interval) {
+        if (this.contours) {
+            this.contours.dispose();
+            this.contours = null;
+        }
+
+        if (interval > 0 && this.lattice) {
+            this.contours = new HorizonContours(this.sceneManager, this, Math.max(interval, this.getMinContourInterval()));
+        }
+    }
+
+    getMinContourInterval() {
+        return this.lattice ? (this.maxZ - this.minZ) / ContourConfig.maxLevels : 0;
+    }
+
+    getContourInterval() {
+        return this.contours ? this.contours.interval : null;
+    }
+
+    // spikes as found by HorizonFilters.findSpikes; an empty list removes the markers
+    setSpikes(spikes) {
+        if (this.spikes) {
+            this.spikes.dispose();
+            this.spikes = null;
+        }
+
+        if (spikes.length > 0) {
+            this.spikes = new HorizonSpikes(this.sceneManager, this, spikes);
+        }
+    }
+
+    getSpikes() {
+        return this.spikes ? this.spikes.spikes : [];
     }
 
-    _createPointCloud(data) {
-        const { points, ranges } = data;
-        const positions = [];
-        const colors = [];
+    // Paints the colored lattice into a MapView layer, one pixel per node before scaling
+    drawToMap(ctx, toCanvas) {
+        const { lattice } = this;
+        if (!lattice) return;
+
+        if (!this._mapImage || this._mapImage.key !== this._mapImageKey()) {
+            this._mapImage = { key: this._mapImageKey(), canvas: this._renderMapImage() };
+        }
+
+        const first = lattice.toIndices(-0.5, lattice.columns - 0.5);
+        const last = lattice.toIndices(lattice.rows - 0.5, -0.5);
+        const topLeft = toCanvas(first.inlineIndex, first.crosslineIndex);
+        const bottomRight = toCanvas(last.inlineIndex, last.crosslineIndex);
+
+        ctx.imageSmoothingEnabled = false;
+        ctx.drawImage(
+            this._mapImage.canvas,
+            topLeft.x, topLeft.y,
+            bottomRight.x - topLeft.x, bottomRight.y - topLeft.y
+        );
+    }
+
+    _mapImageKey() {
+        return `${this.colorProperty}:${this.colormap}:${this.colorRange.min}:${this.colorRange.max}`;
+    }
+
+    _renderMapImage() {
+        const { lattice } = this;
+        const canvas = document.createElement('canvas');
+        canvas.width = lattice.rows;
+        canvas.height = lattice.columns;
+
+        const context = canvas.getContext('2d');
+        const image = context.createImageData(canvas.width, canvas.height);
         const color = new THREE.Color();
 
-        const inlineRange = ranges.inline.max - ranges.inline.min;
-        const crosslineRange = ranges.crossline.max - ranges.crossline.min;
-        const zRange = ranges.z.max - ranges.z.min;
+        for (let row = 0; row < lattice.rows; row++) {
+            for (let column = 0; column < lattice.columns; column++) {
+                const i = lattice.node(row, column);
+                if (i === -1) continue;
+
+                const hex = this.getColor(this.valueAt(i), color).getHex();
+                const offset = ((lattice.columns - 1 - column) * canvas.width + row) * 4;
+                image.data[offset] = (hex >> 16) & 0xff;
+                image.data[offset + 1] = (hex >> 8) & 0xff;
+                image.data[offset + 2] = hex & 0xff;
+                image.data[offset + 3] = 255;
+            }
+        }
 
-        for (const point of points) {
+        context.putImageData(image, 0, 0);
+        return canvas;
+    }
 
-            const normInline = (point.inline - ranges.inline.min) / inlineRange;
-            const normCrossline = (point.crossline - ranges.crossline.min) / crosslineRange;
+    setOpacity(opacity) {
+        this.opacity = opacity;
+        if (this.object) {
+            Horizon._applyOpacity(this.object.material, opacity);
+        }
+    }
 
-            const x = normInline * SeismicConfig.imageWidth;
-            const z = normCrossline * SeismicConfig.imageWidth;
-            const y = CoordinateSystem.timeToY(point.z);
+    static _applyOpacity(material, opacity) {
+        material.opacity = opacity;
+        material.transparent = opacity < 1;
+        material.depthWrite = opacity >= 1;
+        material.needsUpdate = true;
+    }
 
-            positions.push(x, y, z);
+    // Matcap of a diffuse light at the camera, shared by all horizon surfaces. Texel (u, v)
+    // shades view-space normals with x = 2u - 1 and y = 2v - 1, so brightness follows the
+    // normal's z component.
+    static _shadingTexture() {
+        if (!Horizon._shading) {
+            const { horizonAmbient, horizonDiffuse } = StyleConfig;
+            const size = 64;
+            const data = new Uint8Array(size * size * 4);
+
+            for (let j = 0; j < size; j++) {
+                for (let i = 0; i < size; i++) {
+                    const x = (2 * (i + 0.5)) / size - 1;
+                    const y = (2 * (j + 0.5)) / size - 1;
+                    const z = Math.sqrt(Math.max(0, 1 - x * x - y * y));
+                    const shade = Math.min(1, horizonAmbient + horizonDiffuse * z) * 255;
+
+                    data.set([shade, shade, shade, 255], (j * size + i) * 4);
+                }
+            }
 
-            const normalizedZ = (point.z - ranges.z.min) / (zRange / 2);
-            color.setHSL(normalizedZ * 0.7, 1.0, 0.5);
-            colors.push(color.r, color.g, color.b);
+            Horizon._shading = new THREE.DataTexture(data, size, size);
+            Horizon._shading.needsUpdate = true;
         }
+        return Horizon._shading;
+    }
+
+    // Joins samples on the inline/crossline lattice into triangles. Cells with missing
+    // corners or a jump larger than HorizonConfig.maxJump are left open.
+    _triangulate() {
+        const { lattice } = this;
+        const triangles = [];
+
+        const addTriangle = (a, b, c) => {
+            if (a === -1 || b === -1 || c === -1) return false;
 
+            const zs = [a, b, c].map(i => this.points[i].z);
+            if (Math.max(...zs) - Math.min(...zs) > HorizonConfig.maxJump) return false;
+
+            triangles.push(a, b, c);
+            return true;
+        };
+
+        for (let row = 0; row < lattice.rows - 1; row++) {
+            for (let column = 0; column < lattice.columns - 1; column++) {
+                const a = lattice.node(row, column);
+                const b = lattice.node(row, column + 1);
+                const c = lattice.node(row + 1, column);
+                const d = lattice.node(row + 1, column + 1);
+
+                const first = addTriangle(a, c, b);
+                const second = addTriangle(b, c, d);
+
+                // Missing b or c breaks both halves; the other diagonal still gives one triangle
+                if (!first && !second) {
+                    addTriangle(a, c, d) || addTriangle(a, d, b);
+                }
+            }
+        }
+
+        return triangles;
+    }
+
+    // Surface mode falls back to points when the samples are too sparse to triangulate
+    _createObject() {
         const geometry = new THREE.BufferGeometry();
-        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
-        geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(this._computePositions(), 3));
+        geometry.setAttribute('color', new THREE.Float32BufferAttribute(this._computeColors(), 3));
+
+        if (this.renderMode === 'surface' && this.triangles.length > 0) {
+            geometry.setIndex(this.triangles);
+            geometry.computeVertexNormals();
+
+            // Pushed back slightly so draped contours are not hidden by the surface
+            const material = new THREE.MeshMatcapMaterial({
+                matcap: Horizon._shadingTexture(),
+                vertexColors: true,
+                side: THREE.DoubleSide,
+                polygonOffset: true,
+                polygonOffsetFactor: 1,
+                polygonOffsetUnits: 1
+            });
+            this.object = new THREE.Mesh(geometry, material);
+        } else {
+            const material = new THREE.PointsMaterial({
+                size: StyleConfig.horizonPointSize,
+                vertexColors: true
+            });
+            this.object = new THREE.Points(geometry, material);
+        }
+
+        Horizon._applyOpacity(this.object.material, this.opacity);
+        this.object.visible = this.visible;
+        this.object.userData = {
+            type: 'horizon',
+            name: this.name,
+            pickable: this.object.isMesh,
+            horizonInstance: this
+        };
+
+        this.sceneManager.add(this.object);
+    }
+
+    _disposeObject() {
+        if (this.object) {
+            this.sceneManager.remove(this.object);
+            this.object.geometry.dispose();
+            this.object.material.dispose();
+            this.object = null;
+        }
+    }
+
+    setRenderMode(mode) {
+        if (mode === this.renderMode) return;
+
+        this.renderMode = mode;
+        if (this.object) {
+            this._disposeObject();
+            this._createObject();
+        }
+    }
+
+    // Horizon Inline/Crossline columns hold survey line numbers
+    _computePositions() {
+        const positions = new Float32Array(this.points.length * 3);
+        const position = new THREE.Vector3();
 
-        const material = new THREE.PointsMaterial({
-            size: StyleConfig.horizonPointSize,
-            vertexColors: true
+        this.points.forEach((point, i) => {
+            CoordinateSystem.surveyToWorld(point.inline, point.crossline, point.z, position);
+            position.toArray(positions, i * 3);
         });
 
-        this.pointCloud = new THREE.Points(geometry, material);
-        this.sceneManager.add(this.pointCloud);
+        return positions;
+    }
+
+    updatePositions() {
+        if (!this.object) return;
+
+        const { geometry } = this.object;
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(this._computePositions(), 3));
+        if (geometry.index) geometry.computeVertexNormals();
+        geometry.computeBoundingSphere();
+
+        if (this.contours) this.contours.updatePositions();
+        if (this.spikes) this.spikes.updatePositions();
     }
 
     setVisible(visible) {
@@ -134,39 +524,120 @@ export class Horizon {
             this.visible = visible;
         }
 
-        if (this.pointCloud) {
-            this.pointCloud.visible = this.visible;
+        if (this.object) {
+            this.object.visible = this.visible;
+        }
+        if (this.contours) {
+            this.contours.setVisible(this.visible);
+        }
+        if (this.spikes) {
+            this.spikes.setVisible(this.visible);
         }
     }
 
 
     dispose() {
-        if (this.pointCloud) {
-            this.sceneManager.remove(this.pointCloud);
-            this.pointCloud.geometry.dispose();
-            this.pointCloud.material.dispose();
-            this.pointCloud = null;
-        }
+        this.setContourInterval(null);
+        this.setSpikes([]);
+        this._disposeObject();
     }
 }
 
+Horizon._shading = null;
+
 export class HorizonManager {
     constructor(sceneManager) {
         this.sceneManager = sceneManager;
         this.horizons = [];
+        this._nextId = 1;
     }
 
     async addHorizon(csvUrl, zColumnName) {
+        return this.addHorizonFile(csvUrl, { format: 'csv', zColumn: zColumnName });
+    }
+
+    // Any format HorizonReaderFactory knows: { format, zColumn, name }
+    async addHorizonFile(url, options = {}) {
+        const horizon = new Horizon(this.sceneManager);
+        await horizon.load(url, options);
+        return this._register(horizon);
+    }
+
+    // File contents already in memory, e.g. picked in the browser; options.fileName helps detection
+    addHorizonFromText(text, options = {}) {
         const horizon = new Horizon(this.sceneManager);
-        await horizon.load(csvUrl, zColumnName);
+        horizon.read(text, options);
+        if (horizon.points.length === 0) {
+            throw new Error(`No horizon points found in ${options.fileName || 'file'}`);
+        }
+        return this._register(horizon);
+    }
+
+    _register(horizon) {
+        horizon.id = this._nextId++;
         this.horizons.push(horizon);
         return horizon;
     }
 
+    // Thickness layer (bottom minus top) draped on the top horizon
+    addIsochron(top, bottom) {
+        const points = Isochron.compute(top, bottom);
+        if (points.length === 0) {
+            throw new Error(`Horizons ${top.name} and ${bottom.name} share no inline/crossline nodes`);
+        }
+
+        const horizon = Horizon.fromPoints(this.sceneManager, `${bottom.name} - ${top.name}`, points);
+        horizon.isochron = { top, bottom, statistics: Isochron.getStatistics(points) };
+        return this._register(horizon);
+    }
+
+    // Smoothed copy as a new layer; options: { method, window }. The source keeps its points.
+    addSmoothed(horizon, options = {}) {
+        const { method, window } = { ...HorizonFilterConfig, ...options };
+        const points = HorizonFilters.smooth(horizon, { method, window });
+        const name = `${horizon.name} (${method} ${window}×${window})`;
+        return this._register(Horizon.fromPoints(this.sceneManager, name, points));
+    }
+
+    // Flags likely mis-picks and marks them on the horizon; options: { threshold, window }
+    detectSpikes(horizon, options = {}) {
+        const spikes = HorizonFilters.findSpikes(horizon, options);
+        horizon.setSpikes(spikes);
+        return spikes;
+    }
+
+    // Empty horizon filled from picks made in the viewer
+    addInterpretation(name) {
+        const horizon = new Horizon(this.sceneManager);
+        horizon.name = name;
+        horizon.picks = new HorizonPicks();
+        return this._register(horizon);
+    }
+
+    removeHorizon(id) {
+        const horizon = this.getHorizon(id);
+        if (!horizon) return;
+
+        horizon.dispose();
+        this.horizons = this.horizons.filter(h => h !== horizon);
+    }
+
+    getHorizon(id) {
+        return this.horizons.find(h => h.id === id) || null;
+    }
+
     setAllVisible(visible) {
         this.horizons.forEach(h => h.setVisible(visible));
     }
 
+    setRenderMode(mode) {
+        this.horizons.forEach(h => h.setRenderMode(mode));
+    }
+
+    updatePositions() {
+        this.horizons.forEach(h => h.updatePositions());
+    }
+
     getAll() {
         return this.horizons;
     }
@@ -1,5 +1,19 @@
+export * from './arbitrary-line.js';
+export * from './fault-throw.js';
 export * from './fault.js';
+export * from './horizon-attributes.js';
+export * from './horizon-contours.js';
+export * from './horizon-filters.js';
+export * from './horizon-gridding.js';
+export * from './horizon-lattice.js';
+export * from './horizon-picks.js';
+export * from './horizon-readers.js';
+export * from './horizon-tracker.js';
 export * from './horizon.js';
+export * from './isochron.js';
+export * from './section-traces.js';
+export * from './seismic-display.js';
 export * from './seismic-plane.js';
+export * from './seismic-texture-source.js';
 export * from './well-log.js';
 export * from './well.js';
\ No newline at end of file
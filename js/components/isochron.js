@@ -0,0 +1,49 @@
+// Thickness between two horizons, node by node: bottom minus top in horizon units.
+// Points keep the top's z so the layer drapes on the top surface, with the thickness as value.
+export class Isochron {
+    static compute(top, bottom) {
+        const key = (point) => `${point.inline},${point.crossline}`;
+        const bottomByNode = new Map(bottom.points.map(point => [key(point), point]));
+
+        const points = [];
+        top.points.forEach(point => {
+            const match = bottomByNode.get(key(point));
+            if (!match) return;
+
+            points.push({
+                inline: point.inline,
+                crossline: point.crossline,
+                z: point.z,
+                top: point.z,
+                bottom: match.z,
+                value: match.z - point.z
+            });
+        });
+
+        return points;
+    }
+
+    static getStatistics(points) {
+        let min = Infinity;
+        let max = -Infinity;
+        let sum = 0;
+
+        points.forEach(({ value }) => {
+            min = Math.min(min, value);
+            max = Math.max(max, value);
+            sum += value;
+        });
+
+        return { min, max, mean: points.length > 0 ? sum / points.length : NaN, count: points.length };
+    }
+
+    // Same Inline/Crossline layout the horizon loader reads, with the thickness as its own column
+    static toCSV(horizon) {
+        const { top, bottom } = horizon.isochron;
+        const rows = horizon.points.map(point =>
+            [point.inline, point.crossline, point.top, point.bottom, point.value].join(',')
+        );
+
+        return [`Inline,Crossline,${top.name},${bottom.name},Thickness`, ...rows].join('\n');
+    }
+}
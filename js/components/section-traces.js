@@ -0,0 +1,138 @@
+import { HorizonConfig } from '../config/seismic.config.js';
+import { CoordinateSystem } from '../core/coordinate-system.js';
+
+// Where horizons and fault surfaces cut inline and crossline planes, drawn in each layer's color.
+// One LineSegments object per plane, rebuilt whenever its section moves.
+export class SectionTraces {
+    constructor(sceneManager) {
+        this.sceneManager = sceneManager;
+        this.lines = new Map();
+    }
+
+    update(plane, horizons, faults) {
+        this.remove(plane.id);
+
+        const positions = [];
+        const colors = [];
+        const colorFrom = new THREE.Color();
+        const colorTo = new THREE.Color();
+        const position = new THREE.Vector3();
+
+        const addSegment = (from, to, fromColor, toColor) => {
+            [[from, fromColor], [to, toColor]].forEach(([point, pointColor]) => {
+                CoordinateSystem.indexToWorld(point.inlineIndex, point.crosslineIndex, point.time, position);
+                positions.push(position.x, position.y, position.z);
+                colors.push(pointColor.r, pointColor.g, pointColor.b);
+            });
+        };
+
+        horizons.filter(h => h.visible && h.lattice).forEach(horizon => {
+            SectionTraces.traceHorizon(horizon, plane.orientation, plane.currentIndex).forEach(([from, to]) => {
+                addSegment(from, to, horizon.getColor(from.value, colorFrom), horizon.getColor(to.value, colorTo));
+            });
+        });
+
+        faults.filter(f => f.isVisible()).forEach(fault => {
+            fault.getTriangles().forEach(triangle => {
+                const segment = SectionTraces.cutTriangle(triangle, plane.orientation, plane.currentIndex);
+                if (segment) {
+                    addSegment(segment[0], segment[1], fault.getColor(), fault.getColor());
+                }
+            });
+        });
+
+        if (positions.length === 0) return;
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+
+        const line = new THREE.LineSegments(geometry, new THREE.LineBasicMaterial({ vertexColors: true }));
+        line.renderOrder = 10;
+        this.lines.set(plane.id, line);
+        this.sceneManager.add(line);
+    }
+
+    // Horizon values along the section, interpolated between the two nearest lattice lines.
+    // Gaps and jumps above HorizonConfig.maxJump break the trace, as they do in the surface.
+    static traceHorizon(horizon, orientation, index) {
+        const { lattice, points } = horizon;
+        const alongInline = orientation === 'inline';
+        const position = alongInline
+            ? (index - lattice.inlineStart) / lattice.inlineStep
+            : (index - lattice.crosslineStart) / lattice.crosslineStep;
+        const lineCount = alongInline ? lattice.rows : lattice.columns;
+        const sampleCount = alongInline ? lattice.columns : lattice.rows;
+
+        if (position < 0 || position > lineCount - 1) return [];
+
+        const first = Math.floor(position);
+        const second = Math.min(first + 1, lineCount - 1);
+        const t = position - first;
+        const node = (line, sample) => alongInline ? lattice.node(line, sample) : lattice.node(sample, line);
+
+        const sampleAt = (sample) => {
+            const a = node(first, sample);
+            const b = node(second, sample);
+            if (a === -1 || b === -1) return null;
+
+            const za = points[a].z;
+            const zb = points[b].z;
+            if (Math.abs(zb - za) > HorizonConfig.maxJump) return null;
+
+            const lerp = (p, q) => p + (q - p) * t;
+            const cell = alongInline ? lattice.toIndices(position, sample) : lattice.toIndices(sample, position);
+            return { ...cell, time: lerp(za, zb), value: lerp(horizon.valueAt(a), horizon.valueAt(b)) };
+        };
+
+        const segments = [];
+        let previous = sampleAt(0);
+        for (let sample = 1; sample < sampleCount; sample++) {
+            const current = sampleAt(sample);
+            if (previous && current && Math.abs(current.time - previous.time) <= HorizonConfig.maxJump) {
+                segments.push([previous, current]);
+            }
+            previous = current;
+        }
+
+        return segments;
+    }
+
+    // Segment where a triangle of fault stick points crosses the section, or null
+    static cutTriangle(triangle, orientation, index) {
+        const coordinate = orientation === 'inline' ? 'inline_n' : 'crossline_n';
+        const distances = triangle.map(point => point[coordinate] - index);
+        const crossings = [];
+
+        for (let i = 0; i < 3; i++) {
+            const a = triangle[i];
+            const b = triangle[(i + 1) % 3];
+            const da = distances[i];
+            const db = distances[(i + 1) % 3];
+            if ((da < 0) === (db < 0)) continue;
+
+            const t = da / (da - db);
+            crossings.push({
+                inlineIndex: a.inline_n + (b.inline_n - a.inline_n) * t,
+                crosslineIndex: a.crossline_n + (b.crossline_n - a.crossline_n) * t,
+                time: a.time + (b.time - a.time) * t
+            });
+        }
+
+        return crossings.length === 2 ? crossings : null;
+    }
+
+    remove(planeId) {
+        const line = this.lines.get(planeId);
+        if (!line) return;
+
+        this.sceneManager.remove(line);
+        line.geometry.dispose();
+        line.material.dispose();
+        this.lines.delete(planeId);
+    }
+
+    dispose() {
+        [...this.lines.keys()].forEach(id => this.remove(id));
+    }
+}
@@ -0,0 +1,130 @@
+import { SeismicDisplayConfig } from '../config/seismic.config.js';
+import { Colormap } from '../core/colormap.js';
+
+const vertexShader = `
+    varying vec2 vUv;
+
+    void main() {
+        vUv = uv;
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+`;
+
+const fragmentShader = `
+    uniform sampler2D amplitudeMap;
+    uniform sampler2D colormap;
+    uniform float amplitudeScale;
+    uniform float amplitudeOffset;
+    uniform float gain;
+    uniform float polarity;
+    uniform float clipMin;
+    uniform float clipMax;
+    uniform float opacity;
+
+    varying vec2 vUv;
+
+    void main() {
+        vec4 texel = texture2D(amplitudeMap, vUv);
+        float amplitude = (texel.r * amplitudeScale + amplitudeOffset) * gain * polarity;
+        float t = clamp((amplitude - clipMin) / (clipMax - clipMin), 0.0, 1.0);
+        gl_FragColor = vec4(texture2D(colormap, vec2(t, 0.5)).rgb, texel.a * opacity);
+    }
+`;
+
+export class SeismicDisplay {
+    constructor(textureSource) {
+        this.textureSource = textureSource;
+        this.settings = { ...SeismicDisplayConfig };
+        this.colormapTexture = Colormap.get(this.settings.colormap).createTexture();
+        this.materials = new Set();
+        this.listeners = [];
+    }
+
+    createMaterial(texture) {
+        const material = new THREE.ShaderMaterial({
+            uniforms: {
+                amplitudeMap: { value: texture },
+                colormap: { value: this.colormapTexture },
+                amplitudeScale: { value: this.textureSource.amplitudeScale },
+                amplitudeOffset: { value: this.textureSource.amplitudeOffset },
+                gain: { value: 1 },
+                polarity: { value: 1 },
+                clipMin: { value: -1 },
+                clipMax: { value: 1 },
+                opacity: { value: 1 }
+            },
+            vertexShader,
+            fragmentShader,
+            side: THREE.DoubleSide,
+            transparent: true,
+            // Pushed back slightly so horizon and fault traces drawn on the section stay visible
+            polygonOffset: true,
+            polygonOffsetFactor: 1,
+            polygonOffsetUnits: 1
+        });
+
+        this._applyTo(material);
+        this.materials.add(material);
+        return material;
+    }
+
+    releaseMaterial(material) {
+        this.materials.delete(material);
+        material.dispose();
+    }
+
+    update(changes) {
+        const previousColormap = this.settings.colormap;
+        Object.assign(this.settings, changes);
+
+        if (this.settings.colormap !== previousColormap) {
+            this.colormapTexture.dispose();
+            this.colormapTexture = Colormap.get(this.settings.colormap).createTexture();
+        }
+
+        this.materials.forEach(material => this._applyTo(material));
+        this.listeners.forEach(callback => callback(this.getLegend()));
+    }
+
+    // Clip window on the displayed amplitudes; reversing polarity mirrors an asymmetric window
+    getClipRange() {
+        const { clipMode, clipPercentile, reversePolarity } = this.settings;
+        const range = this.textureSource.getAmplitudeRange(clipPercentile);
+
+        if (clipMode === 'asymmetric') {
+            return reversePolarity
+                ? { min: -range.max, max: -range.min }
+                : { min: range.min, max: range.max };
+        }
+        return { min: -range.absMax, max: range.absMax };
+    }
+
+    // Amplitude values (before gain and polarity) at both ends of the colormap
+    getLegend() {
+        const { gain, reversePolarity, colormap } = this.settings;
+        const scale = gain * (reversePolarity ? -1 : 1);
+        const clip = this.getClipRange();
+
+        return {
+            colormap,
+            min: clip.min / scale,
+            max: clip.max / scale
+        };
+    }
+
+    addListener(callback) {
+        this.listeners.push(callback);
+    }
+
+    _applyTo(material) {
+        const { gain, reversePolarity } = this.settings;
+        const clip = this.getClipRange();
+        const { uniforms } = material;
+
+        uniforms.colormap.value = this.colormapTexture;
+        uniforms.gain.value = gain;
+        uniforms.polarity.value = reversePolarity ? -1 : 1;
+        uniforms.clipMin.value = clip.min;
+        uniforms.clipMax.value = clip.max > clip.min ? clip.max : clip.min + 1e-6;
+    }
+}
@@ -1,91 +1,173 @@
-import { SeismicConfig, PathConfig } from '../config/seismic.config.js';
+import { DomainConfig, SeismicConfig } from '../config/seismic.config.js';
 import { CoordinateSystem } from '../core/coordinate-system.js';
 
 class SeismicPlaneBase {
-    constructor(sceneManager) {
+    constructor(sceneManager, textureSource, display, index = 0) {
         this.sceneManager = sceneManager;
+        this.textureSource = textureSource;
+        this.display = display;
         this.plane = null;
-        this.loader = new THREE.TextureLoader();
-        this.currentIndex = 0;
+        this.currentIndex = index;
+        this.displayedIndex = null;
+        this.scrubDirection = 1;
+        this.visible = true;
+        this.opacity = 1;
+        this._requestId = 0;
+    }
+
+    // A subdivided unit plane; vertex positions come from _surfacePoint so the
+    // plane can follow a velocity model when shown in depth
+    _createGeometry() {
+        const { planeSegments } = DomainConfig;
+        return new THREE.PlaneGeometry(1, 1, planeSegments, planeSegments);
     }
 
     _createPlane(texture) {
-        const geometry = new THREE.PlaneGeometry(
-            SeismicConfig.imageWidth,
-            SeismicConfig.imageHeight
+        const geometry = this._createGeometry();
+        const material = this.display.createMaterial(texture);
+
+        return new THREE.Mesh(geometry, material);
+    }
+
+    _updateGeometry() {
+        if (!this.plane) return;
+
+        const { geometry } = this.plane;
+        const position = geometry.attributes.position;
+        const uv = geometry.attributes.uv;
+        const point = new THREE.Vector3();
+
+        for (let i = 0; i < position.count; i++) {
+            this._surfacePoint(uv.getX(i), uv.getY(i), point);
+            position.setXYZ(i, point.x, point.y, point.z);
+        }
+
+        position.needsUpdate = true;
+        geometry.computeBoundingBox();
+        geometry.computeBoundingSphere();
+    }
+
+    // Two-way time at texture coordinate v of a vertical section (v = 1 at the top)
+    static _timeAt(v) {
+        return SeismicConfig.yTop + (1 - v) * SeismicConfig.timeSize;
+    }
+
+    updatePositions() {
+        this._updateGeometry();
+    }
+
+    // The plane stays hidden until its first slice texture arrives
+    _initialize() {
+        this.plane = this._createPlane(null);
+        this.plane.visible = false;
+        this.plane.userData = { type: 'seismicPlane', orientation: this.orientation, pickable: true };
+        this.sceneManager.add(this.plane);
+
+        this._updateGeometry();
+        this._loadTexture();
+    }
+
+    _updateTexture(index) {
+        const requestId = ++this._requestId;
+
+        this.textureSource.load(this.orientation, index).then((texture) => {
+            // Drop responses for indices the slider has already moved past
+            if (requestId !== this._requestId || !this.plane) return;
+            this._showTexture(index, texture);
+        }).catch(error => console.warn(error.message));
+
+        this.textureSource.prefetch(
+            this.orientation,
+            index,
+            this.scrubDirection,
+            this.constructor.getMaxIndex()
         );
-        geometry.translate(SeismicConfig.imageWidth / 2, 0, 0);
+    }
 
-        const material = new THREE.MeshBasicMaterial({
-            map: texture,
-            side: THREE.DoubleSide,
-            transparent: true
-        });
+    _showTexture(index, texture) {
+        this.textureSource.acquire(this.orientation, index);
+        if (this.displayedIndex !== null) {
+            this.textureSource.release(this.orientation, this.displayedIndex);
+        }
 
-        return new THREE.Mesh(geometry, material);
+        this.displayedIndex = index;
+        this.plane.material.uniforms.amplitudeMap.value = texture;
+        this.plane.visible = this.visible;
+    }
+
+    setVisible(visible) {
+        this.visible = visible;
+        // Before the first texture arrives the plane stays hidden regardless
+        if (this.plane && this.displayedIndex !== null) {
+            this.plane.visible = visible;
+        }
+    }
+
+    setOpacity(opacity) {
+        this.opacity = opacity;
+        if (this.plane) {
+            this.plane.material.uniforms.opacity.value = opacity;
+            // Let planes behind a see-through section show through it
+            this.plane.material.depthWrite = opacity >= 1;
+        }
     }
 
-    _updateTexture(path) {
-        this.loader.load(path, (texture) => {
-            texture.generateMipmaps = false;
-            texture.minFilter = THREE.NearestFilter;
-            texture.magFilter = THREE.NearestFilter;
-            texture.needsUpdate = true;
+    dispose() {
+        this._requestId++;
+        if (this.displayedIndex !== null) {
+            this.textureSource.release(this.orientation, this.displayedIndex);
+            this.displayedIndex = null;
+        }
 
-            if (this.plane) {
-                this.plane.material.map = texture;
-                this.plane.material.needsUpdate = true;
-            }
-        });
+        if (this.plane) {
+            this.sceneManager.remove(this.plane);
+            this.plane.geometry.dispose();
+            this.display.releaseMaterial(this.plane.material);
+            this.plane = null;
+        }
     }
 
     setIndex(index) {
+        if (index !== this.currentIndex) {
+            this.scrubDirection = Math.sign(index - this.currentIndex);
+        }
         this.currentIndex = index;
-        this._updatePosition();
+        this._updateGeometry();
         this._loadTexture();
     }
 
     // Abstract methods - to be implemented by subclasses
-    _updatePosition() {
-        throw new Error('Must implement _updatePosition');
+    get orientation() {
+        throw new Error('Must implement orientation');
     }
 
-    _loadTexture() {
-        throw new Error('Must implement _loadTexture');
+    _surfacePoint(u, v, target) {
+        throw new Error('Must implement _surfacePoint');
     }
 
-    _getImagePath(index) {
-        throw new Error('Must implement _getImagePath');
+    _loadTexture() {
+        this._updateTexture(this.currentIndex);
     }
 }
 
 export class InlinePlane extends SeismicPlaneBase {
-    constructor(sceneManager) {
-        super(sceneManager);
+    constructor(sceneManager, textureSource, display, index = 0) {
+        super(sceneManager, textureSource, display, index);
         this._initialize();
     }
 
-    _initialize() {
-        this.loader.load(PathConfig.getInlinePath(0), (texture) => {
-            this.plane = this._createPlane(texture);
-            this.plane.rotation.y = -Math.PI / 2;
-            this.plane.position.set(0, 0, 0);
-            this.sceneManager.add(this.plane);
-        });
-    }
-
-    _updatePosition() {
-        if (this.plane) {
-            const x = CoordinateSystem.indexToPosition(
-                this.currentIndex,
-                SeismicConfig.inlineCount
-            );
-            this.plane.position.x = x;
-        }
+    get orientation() {
+        return 'inline';
     }
 
-    _loadTexture() {
-        this._updateTexture(PathConfig.getInlinePath(this.currentIndex));
+    // u runs along crosslines
+    _surfacePoint(u, v, target) {
+        return CoordinateSystem.indexToWorld(
+            this.currentIndex,
+            u * SeismicConfig.maxCrosslineIndex,
+            SeismicPlaneBase._timeAt(v),
+            target
+        );
     }
 
     static getMaxIndex() {
@@ -94,35 +176,51 @@ export class InlinePlane extends SeismicPlaneBase {
 }
 
 export class CrosslinePlane extends SeismicPlaneBase {
-    constructor(sceneManager) {
-        super(sceneManager);
+    constructor(sceneManager, textureSource, display, index = 0) {
+        super(sceneManager, textureSource, display, index);
         this._initialize();
     }
 
-    _initialize() {
-        this.loader.load(PathConfig.getCrosslinePath(0), (texture) => {
-            this.plane = this._createPlane(texture);
-            this.plane.rotation.y = 0;
-            this.plane.position.set(0, 0, 0);
-            this.sceneManager.add(this.plane);
-        });
+    get orientation() {
+        return 'crossline';
     }
 
-    _updatePosition() {
-        if (this.plane) {
-            const z = CoordinateSystem.indexToPosition(
-                this.currentIndex,
-                SeismicConfig.crosslineCount
-            );
-            this.plane.position.z = z;
-        }
+    // u runs along inlines
+    _surfacePoint(u, v, target) {
+        return CoordinateSystem.indexToWorld(
+            u * SeismicConfig.maxInlineIndex,
+            this.currentIndex,
+            SeismicPlaneBase._timeAt(v),
+            target
+        );
     }
 
-    _loadTexture() {
-        this._updateTexture(PathConfig.getCrosslinePath(this.currentIndex));
+    static getMaxIndex() {
+        return SeismicConfig.maxCrosslineIndex;
+    }
+}
+
+export class TimeSlicePlane extends SeismicPlaneBase {
+    constructor(sceneManager, textureSource, display, index = 0) {
+        super(sceneManager, textureSource, display, index);
+        this._initialize();
+    }
+
+    get orientation() {
+        return 'time';
+    }
+
+    // u runs along inlines, v along crosslines; in depth the slice bends with the model
+    _surfacePoint(u, v, target) {
+        return CoordinateSystem.indexToWorld(
+            u * SeismicConfig.maxInlineIndex,
+            v * SeismicConfig.maxCrosslineIndex,
+            CoordinateSystem.timeIndexToTime(this.currentIndex),
+            target
+        );
     }
 
     static getMaxIndex() {
-        return SeismicConfig.maxCrosslineIndex;
+        return SeismicConfig.maxTimeIndex;
     }
 }
@@ -0,0 +1,177 @@
+import { PathConfig } from '../config/seismic.config.js';
+
+// Pre-rendered images carry grey levels, read back as amplitudes in -1..1
+export class ImageTextureSource {
+    constructor() {
+        this.loader = new THREE.TextureLoader();
+        this.amplitudeScale = 2;
+        this.amplitudeOffset = -1;
+    }
+
+    getAmplitudeRange(percentile) {
+        const clip = percentile / 100;
+        return { min: -clip, max: clip, absMax: clip };
+    }
+
+    _getPath(orientation, index) {
+        switch (orientation) {
+            case 'inline': return PathConfig.getInlinePath(index);
+            case 'crossline': return PathConfig.getCrosslinePath(index);
+            case 'time': return PathConfig.getTimeSlicePath(index);
+            default: throw new Error(`Unknown plane orientation: ${orientation}`);
+        }
+    }
+
+    load(orientation, index) {
+        const path = this._getPath(orientation, index);
+
+        return new Promise((resolve, reject) => {
+            this.loader.load(path, (texture) => {
+                texture.generateMipmaps = false;
+                texture.minFilter = THREE.NearestFilter;
+                texture.magFilter = THREE.NearestFilter;
+                texture.needsUpdate = true;
+                resolve(texture);
+            }, undefined, () => reject(new Error(`Failed to load seismic image: ${path}`)));
+        });
+    }
+}
+
+export class AmplitudeTextureSource {
+    constructor(volume) {
+        this.volume = volume;
+        this.amplitudeScale = 1;
+        this.amplitudeOffset = 0;
+    }
+
+    getAmplitudeRange(percentile) {
+        return this.volume.getAmplitudeRange(percentile);
+    }
+
+    _getSlice(orientation, index) {
+        switch (orientation) {
+            case 'inline': return this.volume.getInlineSlice(index);
+            case 'crossline': return this.volume.getCrosslineSlice(index);
+            case 'time': return this.volume.getTimeSlice(index);
+            default: throw new Error(`Unknown plane orientation: ${orientation}`);
+        }
+    }
+
+    async load(orientation, index) {
+        const slice = this._getSlice(orientation, index);
+        const { width, height } = slice;
+
+        // DataTexture rows run bottom-up, so sections put their first time sample in the last row
+        let data = slice.data;
+        if (orientation !== 'time') {
+            data = new Float32Array(width * height);
+            for (let row = 0; row < height; row++) {
+                data.set(slice.data.subarray((height - 1 - row) * width, (height - row) * width), row * width);
+            }
+        }
+
+        const texture = new THREE.DataTexture(data, width, height, THREE.RedFormat, THREE.FloatType);
+        texture.generateMipmaps = false;
+        texture.minFilter = THREE.NearestFilter;
+        texture.magFilter = THREE.NearestFilter;
+        texture.needsUpdate = true;
+        return texture;
+    }
+}
+
+export class CachedTextureSource {
+    constructor(source, cache, prefetchCount = 0) {
+        this.source = source;
+        this.cache = cache;
+        this.prefetchCount = prefetchCount;
+        this.pending = new Map();
+        this.prefetchQueue = [];
+        this._prefetchScheduled = false;
+    }
+
+    get amplitudeScale() {
+        return this.source.amplitudeScale;
+    }
+
+    get amplitudeOffset() {
+        return this.source.amplitudeOffset;
+    }
+
+    getAmplitudeRange(percentile) {
+        return this.source.getAmplitudeRange(percentile);
+    }
+
+    static key(orientation, index) {
+        return `${orientation}:${index}`;
+    }
+
+    load(orientation, index) {
+        const key = CachedTextureSource.key(orientation, index);
+
+        const cached = this.cache.get(key);
+        if (cached) return Promise.resolve(cached);
+
+        // Share in-flight loads so a prefetch and a display request hit the source once
+        if (!this.pending.has(key)) {
+            const request = this.source.load(orientation, index)
+                .then((texture) => {
+                    this.cache.set(key, texture);
+                    return texture;
+                })
+                .finally(() => this.pending.delete(key));
+            this.pending.set(key, request);
+        }
+
+        return this.pending.get(key);
+    }
+
+    acquire(orientation, index) {
+        this.cache.pin(CachedTextureSource.key(orientation, index));
+    }
+
+    release(orientation, index) {
+        this.cache.unpin(CachedTextureSource.key(orientation, index));
+    }
+
+    prefetch(orientation, index, direction, maxIndex) {
+        this.prefetchQueue = [];
+        const step = direction < 0 ? -1 : 1;
+
+        for (let i = 1; i <= this.prefetchCount; i++) {
+            const next = index + step * i;
+            if (next < 0 || next > maxIndex) break;
+            this.prefetchQueue.push([orientation, next]);
+        }
+
+        this._schedulePrefetch();
+    }
+
+    // One slice per idle callback keeps decoding off the scrubbing hot path
+    _schedulePrefetch() {
+        if (this._prefetchScheduled || this.prefetchQueue.length === 0) return;
+        this._prefetchScheduled = true;
+
+        const schedule = window.requestIdleCallback || ((callback) => setTimeout(callback, 16));
+        schedule(() => {
+            this._prefetchScheduled = false;
+
+            const [orientation, index] = this.prefetchQueue.shift() || [];
+            if (orientation === undefined) return;
+
+            const key = CachedTextureSource.key(orientation, index);
+            if (this.cache.has(key) || this.pending.has(key)) {
+                this._schedulePrefetch();
+                return;
+            }
+
+            this.load(orientation, index)
+                .catch(() => {})
+                .finally(() => this._schedulePrefetch());
+        });
+    }
+
+    dispose() {
+        this.prefetchQueue = [];
+        this.cache.clear();
+    }
+}
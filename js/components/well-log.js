@@ -1,4 +1,5 @@
 import { WellLogConfig } from '../config/well-log.config.js';
+import { CoordinateSystem } from '../core/coordinate-system.js';
 export class WellLogFill {
     constructor(wellLog, curvePoints, fillConfig) {
         this.wellLog = wellLog;
@@ -175,6 +176,15 @@ export class WellLog {
 
         if (depthRange === 0) return points;
 
+        // TVDSS is placed through the velocity model when one is loaded;
+        // otherwise the log is stretched over the well cylinder
+        const inlineIndex = CoordinateSystem.inlineNumberToIndex(this.well.inline);
+        const crosslineIndex = CoordinateSystem.crosslineNumberToIndex(this.well.crossline);
+        const depthToY = (depth) => {
+            const y = CoordinateSystem.depthAtIndexToY(inlineIndex, crosslineIndex, depth);
+            return y !== null ? y : wellTopY - ((depth - minDepth) / depthRange) * wellHeight;
+        };
+
         let minVal = this.config.min;
         let maxVal = this.config.max;
 
@@ -207,8 +217,7 @@ export class WellLog {
                 offset = (normalizedValue * 2 - 1) * WellLogConfig.maxLogWidth;
             }
 
-            const depthNormalized = (data.depth - minDepth) / depthRange;
-            const y = wellTopY - depthNormalized * wellHeight;
+            const y = depthToY(data.depth);
 
             points.push(new THREE.Vector3(
                 wellX + offset,
@@ -1,4 +1,5 @@
-import { SeismicConfig, StyleConfig } from '../config/index.js';
+import { StyleConfig } from '../config/index.js';
+import { CoordinateSystem } from '../core/coordinate-system.js';
 import { WellLog } from './well-log.js';
 
 export class WellLabel {
@@ -110,6 +111,11 @@ export class Well {
                 radius = StyleConfig.wellRadius, color = StyleConfig.defaultWellColor) {
         this.sceneManager = sceneManager;
         this.name = name;
+        this.inline = inline;
+        this.crossline = crossline;
+        this.timeStart = timeStart;
+        this.timeEnd = timeEnd;
+        this.radius = radius;
         this.mesh = null;
         this.originalColor = color;
         this.isHighlighted = false;
@@ -120,7 +126,7 @@ export class Well {
 
         this.label = null;             // WellLabel instance
 
-        this._create(inline, crossline, timeStart, timeEnd, radius, color);
+        this._create(color);
         this._createLabel();
     }
 
@@ -128,19 +134,19 @@ export class Well {
         this.label = new WellLabel(this, this.name);
     }
 
-    _create(inline, crossline, timeStart, timeEnd, radius, color) {
-        const x = ((inline - 1) / (SeismicConfig.inlineCount - 1)) * SeismicConfig.imageWidth;
-        const z = ((crossline - 1) / (SeismicConfig.crosslineCount - 1)) * SeismicConfig.imageWidth;
+    // Well Inline_n / Crossline_n columns hold survey line numbers
+    _computeEnds() {
+        return {
+            top: CoordinateSystem.surveyToWorld(this.inline, this.crossline, this.timeStart),
+            bottom: CoordinateSystem.surveyToWorld(this.inline, this.crossline, this.timeEnd)
+        };
+    }
 
-        const yTop = this._mapTimeToY(timeStart);
-        const yBottom = this._mapTimeToY(timeEnd);
+    _create(color) {
+        const { top, bottom } = this._computeEnds();
+        const height = Math.abs(top.y - bottom.y);
 
-        const height = Math.abs(
-            ((yTop - yBottom) / SeismicConfig.timeSize) * SeismicConfig.imageHeight
-        );
-        const centerY = (yTop + yBottom) / 2;
-
-        const geometry = new THREE.CylinderGeometry(radius, radius, height, 32);
+        const geometry = new THREE.CylinderGeometry(this.radius, this.radius, height, 32);
         const material = new THREE.MeshPhongMaterial({
             color,
             shininess: 100,
@@ -151,11 +157,7 @@ export class Well {
 
         this.mesh = new THREE.Mesh(geometry, material);
         this.mesh.renderOrder = 0;
-        this.mesh.position.set(
-            x,
-            -centerY / SeismicConfig.timeSize * SeismicConfig.imageHeight + SeismicConfig.timeSize,
-            z
-        );
+        this.mesh.position.copy(top).lerp(bottom, 0.5);
 
         this.mesh.userData = {
             type: 'well',
@@ -166,8 +168,18 @@ export class Well {
         this.sceneManager.add(this.mesh);
     }
 
-    _mapTimeToY(time) {
-        return time - 200;
+    updatePositions() {
+        if (!this.mesh) return;
+
+        const { top, bottom } = this._computeEnds();
+        const height = Math.abs(top.y - bottom.y);
+
+        this.mesh.geometry.dispose();
+        this.mesh.geometry = new THREE.CylinderGeometry(this.radius, this.radius, height, 32);
+        this.mesh.position.copy(top).lerp(bottom, 0.5);
+
+        if (this.label) this.label._updatePosition();
+        if (this.wellLog) this.setLogType(this.currentLogType);
     }
 
     setVisible(visible) {
@@ -361,6 +373,10 @@ export class WellLoader {
         this.wells.forEach(w => w.setVisible(visible));
     }
 
+    updatePositions() {
+        this.wells.forEach(w => w.updatePositions());
+    }
+
     attachLogData(wellLogLoader) {
         let attachedCount = 0;
 
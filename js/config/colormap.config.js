@@ -0,0 +1,51 @@
+export const ColormapConfig = {
+    textureSize: 256,
+
+    colormaps: {
+        grey: {
+            label: 'Grey',
+            stops: [
+                [0.0, 0x000000],
+                [1.0, 0xffffff]
+            ]
+        },
+        redWhiteBlue: {
+            label: 'Red-White-Blue',
+            stops: [
+                [0.0, 0xc00000],
+                [0.5, 0xffffff],
+                [1.0, 0x0000c0]
+            ]
+        },
+        seismic: {
+            label: 'Seismic',
+            stops: [
+                [0.0, 0x00004d],
+                [0.25, 0x0000ff],
+                [0.5, 0xffffff],
+                [0.75, 0xff0000],
+                [1.0, 0x800000]
+            ]
+        },
+        rainbow: {
+            label: 'Rainbow',
+            stops: [
+                [0.0, 0x0000ff],
+                [0.25, 0x00ffff],
+                [0.5, 0x00ff00],
+                [0.75, 0xffff00],
+                [1.0, 0xff0000]
+            ]
+        },
+        viridis: {
+            label: 'Viridis',
+            stops: [
+                [0.0, 0x440154],
+                [0.25, 0x3b528b],
+                [0.5, 0x21918c],
+                [0.75, 0x5ec962],
+                [1.0, 0xfde725]
+            ]
+        }
+    }
+};
@@ -1,3 +1,4 @@
+// Built-in fault file list, used when neither the database nor a manifest lists the faults
 export const FaultFileConfig = {
     basePath: 'CSV_fault/',
 
@@ -143,6 +144,62 @@ export const FaultFileConfig = {
         ]
     },
 
+    // Legend label and color per group of faultsByType; 'unknown' covers files in no group
+    typeStyles: {
+        thrustFault: { label: 'Thrust', color: 0xff5a36 },
+        normalFault: { label: 'Normal', color: 0x00ffff },
+        transpressional: { label: 'Transpressional', color: 0xffc400 },
+        reverseFault: { label: 'Reverse', color: 0xb266ff },
+        unknown: { label: 'Other', color: 0xcccccc }
+    },
+
+    getTypeStyle(type) {
+        return this.typeStyles[type] ?? { label: type, color: this.typeStyles.unknown.color };
+    },
+
+    // Fault type from the text after '^' in names like 'F8(XL^Transpressional).csv', matched
+    // in order on its lowercase letters only, so misspellings such as 'Trans[ressional',
+    // 'Tramspressional' or 'Transprssional' and 'Normal_Fault' still resolve
+    typePatterns: [
+        [/tra\w*ssional/, 'transpressional'],
+        [/thrust/, 'thrustFault'],
+        [/reverse/, 'reverseFault'],
+        [/normal/, 'normalFault']
+    ],
+
+    // { name, orientation, typeText } of a file named like 'F8 (XL^Transpressional).csv', or null
+    parseFileName(path) {
+        const match = path.split('/').pop().match(/^(.*?)\s*\((IL|XL)\^(.*)\)\.csv$/i);
+        if (!match) return null;
+
+        return { name: match[1], orientation: match[2].toUpperCase(), typeText: match[3] };
+    },
+
+    // Group in faultsByType listing a file, else the type its name spells out; 'unknown' otherwise
+    getFaultType(path) {
+        const fileName = path.split('/').pop();
+        const listed = Object.entries(this.faultsByType).find(([, files]) => files.includes(fileName));
+        if (listed) return listed[0];
+
+        const parsed = this.parseFileName(fileName);
+        return parsed ? this.typeFromText(parsed.typeText) : 'unknown';
+    },
+
+    // A typeStyles key for a key or free text such as 'Normal Fault'; 'unknown' when nothing matches
+    typeFromText(text) {
+        if (text in this.typeStyles) return text;
+
+        const letters = text.toLowerCase().replace(/[^a-z]/g, '');
+        const pattern = this.typePatterns.find(([regex]) => regex.test(letters));
+        return pattern ? pattern[1] : 'unknown';
+    },
+
+    // Label for faults a file leaves unnamed: 'F8' for 'F8(XL^Transpressional).csv', else the file name
+    getFaultName(path) {
+        const parsed = this.parseFileName(path);
+        return parsed ? parsed.name : path.split('/').pop().replace(/\.csv$/i, '');
+    },
+
     getAllFaultFiles() {
         const allFiles = [];
 
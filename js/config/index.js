@@ -1,3 +1,5 @@
+export * from './colormap.config.js';
 export * from './fault-file.config.js';
 export * from './seismic.config.js';
+export * from './survey.config.js';
 export * from './well-log.config.js';
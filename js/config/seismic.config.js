@@ -2,12 +2,20 @@ export const SeismicConfig = {
 
     inlineCount: 1092,
     crosslineCount: 549,
+    firstInline: 1,
+    inlineIncrement: 1,
+    firstCrossline: 1,
+    crosslineIncrement: 1,
     timeSize: 1400,
     imageWidth: 2790,
     imageHeight: 2800,
     depthStep: 1100,
     yTop: 200,
     yBottom: 1600,
+    sampleInterval: 4,
+    // Depth window matching yTop..yBottom, set once a velocity model is loaded
+    depthTop: null,
+    depthBottom: null,
 
     get verticalOffset() {
         return this.timeSize + 200;
@@ -17,9 +25,82 @@ export const SeismicConfig = {
     },
     get maxCrosslineIndex() {
         return this.crosslineCount - 1;
+    },
+    get lastInline() {
+        return this.firstInline + this.maxInlineIndex * this.inlineIncrement;
+    },
+    get lastCrossline() {
+        return this.firstCrossline + this.maxCrosslineIndex * this.crosslineIncrement;
+    },
+    get timeSampleCount() {
+        return Math.round(this.timeSize / this.sampleInterval) + 1;
+    },
+    get maxTimeIndex() {
+        return this.timeSampleCount - 1;
+    },
+
+    applyLineGeometry(geometry) {
+        const {
+            firstInline, lastInline, inlineIncrement,
+            firstCrossline, lastCrossline, crosslineIncrement
+        } = geometry;
+
+        this.firstInline = firstInline;
+        this.inlineIncrement = inlineIncrement;
+        this.inlineCount = Math.round((lastInline - firstInline) / inlineIncrement) + 1;
+
+        this.firstCrossline = firstCrossline;
+        this.crosslineIncrement = crosslineIncrement;
+        this.crosslineCount = Math.round((lastCrossline - firstCrossline) / crosslineIncrement) + 1;
+    },
+
+    applyVolumeGeometry(geometry) {
+        const { timeSize, startTime, sampleInterval } = geometry;
+
+        this.applyLineGeometry(geometry);
+        this.timeSize = timeSize;
+        this.sampleInterval = sampleInterval;
+        this.yTop = startTime;
+        this.yBottom = startTime + timeSize;
     }
 };
 
+export const DomainConfig = {
+    defaultDomain: 'time', // 'time' | 'depth'
+    // Grid resolution of seismic planes, so they can bend when converted to depth
+    planeSegments: 64
+};
+
+export const VerticalExaggerationConfig = {
+    default: 1,
+    min: 0.25,
+    max: 10,
+    step: 0.25
+};
+
+export const SegyConfig = {
+    inlineByte: 189,
+    crosslineByte: 193
+};
+
+export const TextureCacheConfig = {
+    maxBytes: 512 * 1024 * 1024,
+    prefetchCount: 4
+};
+
+export const ArbitraryLineConfig = {
+    storageKey: 'seismicViewer.arbitraryLines',
+    mapColor: '#ff66cc'
+};
+
+export const SeismicDisplayConfig = {
+    colormap: 'grey',
+    clipMode: 'symmetric', // 'symmetric' | 'asymmetric'
+    clipPercentile: 99,
+    gain: 1,
+    reversePolarity: false
+};
+
 export const CameraConfig = {
     fov: 45,
     near: 100,
@@ -47,13 +128,105 @@ export const StyleConfig = {
 
     wellRadius: 10,
     horizonPointSize: 2,
+    // Horizon shading from a light at the camera, independent of the scene lights
+    horizonAmbient: 0.5,
+    horizonDiffuse: 0.8,
 
     fault3DOpacity: 0.6
 };
 
+export const HorizonConfig = {
+    renderMode: 'surface', // 'surface' | 'points'
+    colormap: 'rainbow',
+    opacity: 1,
+    // Neighbouring samples further apart than this (ms) are not joined, leaving fault gaps open
+    maxJump: 20
+};
+
+export const HorizonAttributeConfig = {
+    // Times are converted to depth with the velocity model when one is loaded, else with this (m/s)
+    conversionVelocity: 2000,
+    lightAzimuth: 315,   // degrees clockwise from grid north
+    lightAltitude: 45,   // degrees above the horizon
+    colormaps: {
+        dip: 'viridis',
+        azimuth: 'rainbow',
+        meanCurvature: 'redWhiteBlue',
+        mostPositiveCurvature: 'redWhiteBlue',
+        hillshade: 'grey'
+    },
+    // Nodes where an attribute is undefined, e.g. curvature next to a hole
+    nullColor: 0x808080
+};
+
+export const ContourConfig = {
+    defaultInterval: 10,  // ms
+    indexEvery: 5,        // every 5th contour is a thicker, labelled index contour
+    maxLevels: 200,       // smallest interval allowed is the horizon's z range over this many levels
+    labelSpacing: 150,    // index contour segments between labels of one level
+    color: 0x202020,
+    indexColor: 0x000000,
+    indexWidth: 4,        // world units
+    labelHeight: 24,      // world units
+    mapColor: 'rgba(255, 255, 255, 0.35)',
+    mapIndexColor: '#ffffff'
+};
+
+export const PickingConfig = {
+    event: 'peak',            // 'peak' | 'trough' | 'zeroCrossing'
+    snapWindow: 12,           // ms either side of a click searched for the event
+    trackWindow: 8,           // ms either side of the neighbour's pick searched while tracking
+    correlationWindow: 20,    // ms either side of the event compared between traces
+    minCorrelation: 0.7,      // neighbours correlating worse than this stop the tracker
+    maxTrackedTraces: 50000,  // upper bound for one volume autotrack
+    eraseRadius: 3,           // traces around a click removed in erase mode
+    mapColor: '#ffd400'
+};
+
+export const HorizonFilterConfig = {
+    method: 'median',         // 'median' | 'mean'
+    window: 3,                // nodes across the square smoothing window (odd)
+    spikeThreshold: 10,       // ms a node may differ from the median of its neighbours
+    spikeWindow: 3,           // nodes across the neighbourhood a node is compared with
+    spikeColor: 0xff00ff,
+    selectedSpikeColor: 0xffffff,
+    spikeSize: 8,             // marker size in pixels
+    maxListedSpikes: 200      // rows shown in the spike table, largest first
+};
+
+export const FaultThrowConfig = {
+    gap: 2,                   // grid indices left out next to the fault, where picks are unreliable
+    window: 8,                // grid indices of horizon fitted beyond the gap on each side
+    attribute: 'throw',       // 'throw' | 'heave', shown on the fault plane
+    colormap: 'rainbow',
+    noValueColor: 0x555555,   // sticks where the horizon has no cutoff on one side
+    hangingWallColor: 0xff3b30,
+    footwallColor: 0x30d158,
+    throwLineColor: '#ffc400',  // throw profile chart
+    heaveLineColor: '#4fc3f7'
+};
+
+export const GriddingConfig = {
+    method: 'minimumCurvature',  // 'minimumCurvature' | 'idw'
+    searchRadius: 20,            // lattice nodes; nodes with no sample this close stay empty
+    power: 2,                    // inverse-distance weighting exponent
+    maxNeighbours: 12,           // nearest samples averaged per node
+    iterations: 300,             // minimum-curvature relaxation passes at most
+    tolerance: 0.01              // ms; relaxation stops once no node moves more than this
+};
+
 export const PathConfig = {
+    surveyPath: '/csv_data/survey.json',
+    velocityPath: '/csv_data/velocity/velocity.json',
+    // Horizon grids from other software: { path, format?, name? }, format detected when omitted
+    horizonGridFiles: [],
+    // Fault files as JSON, [{ path, type?, name?, color? }] or { faults: [...] }; when the database
+    // has no faults endpoint and this is missing, FaultFileConfig's built-in list is used
+    faultManifestPath: 'CSV_fault/manifest.json',
+    segyPath: '/csv_data/seismic/seismic.sgy',
     inlineFolder: '/csv_data/inline_crossline/inline',
     crosslineFolder: '/csv_data/inline_crossline/crossline',
+    timeSliceFolder: '/csv_data/inline_crossline/timeslice',
 
     getInlinePath(index) {
         return `${this.inlineFolder}/inline_${index + 1}.png`;
@@ -61,5 +234,9 @@ export const PathConfig = {
 
     getCrosslinePath(index) {
         return `${this.crosslineFolder}/crossline_${index + 1}.png`;
+    },
+
+    getTimeSlicePath(index) {
+        return `${this.timeSliceFolder}/timeslice_${index + 1}.png`;
     }
 };
@@ -0,0 +1,58 @@
+import { SeismicConfig } from './seismic.config.js';
+
+// Georeferencing of the survey grid. Line numbering and counts live in SeismicConfig.
+export const SurveyConfig = {
+    name: 'Default Survey',
+    crs: null,
+    isLoaded: false,
+
+    // Distance between adjacent inlines / crosslines in CRS units
+    binSpacing: {
+        inline: 25,
+        crossline: 25
+    },
+
+    // Projected coordinate of the first inline / first crossline bin
+    origin: {
+        x: 0,
+        y: 0
+    },
+
+    // Azimuth of increasing crossline numbers, in degrees clockwise from grid north.
+    // Increasing inline numbers run 90 degrees clockwise from it.
+    rotation: 0,
+
+    apply(definition) {
+        const { inline, crossline } = definition;
+        if (!inline || !crossline) {
+            throw new Error('Survey definition needs "inline" and "crossline" ranges');
+        }
+
+        const lineGeometry = {
+            firstInline: inline.first,
+            lastInline: inline.last,
+            inlineIncrement: inline.increment ?? 1,
+            firstCrossline: crossline.first,
+            lastCrossline: crossline.last,
+            crosslineIncrement: crossline.increment ?? 1
+        };
+
+        Object.entries(lineGeometry).forEach(([key, value]) => {
+            if (!Number.isFinite(value)) {
+                throw new Error(`Survey definition has an invalid ${key}: ${value}`);
+            }
+        });
+        if (lineGeometry.inlineIncrement === 0 || lineGeometry.crosslineIncrement === 0) {
+            throw new Error('Survey line increments must not be zero');
+        }
+
+        SeismicConfig.applyLineGeometry(lineGeometry);
+
+        this.name = definition.name ?? this.name;
+        this.crs = definition.crs ?? null;
+        this.binSpacing = { ...this.binSpacing, ...definition.binSpacing };
+        this.origin = { ...this.origin, ...definition.origin };
+        this.rotation = definition.rotation ?? 0;
+        this.isLoaded = true;
+    }
+};
@@ -0,0 +1,79 @@
+import { ColormapConfig } from '../config/colormap.config.js';
+
+export class Colormap {
+    constructor(name) {
+        const definition = ColormapConfig.colormaps[name];
+        if (!definition) {
+            throw new Error(`Unknown colormap: ${name}`);
+        }
+
+        this.name = name;
+        this.label = definition.label;
+        this.stops = definition.stops.map(([position, hex]) => ({
+            position,
+            color: new THREE.Color(hex)
+        }));
+    }
+
+    static get(name) {
+        if (!Colormap._cache.has(name)) {
+            Colormap._cache.set(name, new Colormap(name));
+        }
+        return Colormap._cache.get(name);
+    }
+
+    static getNames() {
+        return Object.keys(ColormapConfig.colormaps);
+    }
+
+    getColor(t, target = new THREE.Color()) {
+        const value = Math.max(0, Math.min(1, isNaN(t) ? 0 : t));
+        const { stops } = this;
+
+        for (let i = 1; i < stops.length; i++) {
+            if (value <= stops[i].position) {
+                const lower = stops[i - 1];
+                const upper = stops[i];
+                const span = upper.position - lower.position;
+                const alpha = span > 0 ? (value - lower.position) / span : 0;
+                return target.copy(lower.color).lerp(upper.color, alpha);
+            }
+        }
+
+        return target.copy(stops[stops.length - 1].color);
+    }
+
+    createTexture(size = ColormapConfig.textureSize) {
+        const data = new Uint8Array(size * 4);
+        const color = new THREE.Color();
+
+        // getHex() returns sRGB, which is what the seismic shader writes out unconverted
+        for (let i = 0; i < size; i++) {
+            const hex = this.getColor(i / (size - 1), color).getHex();
+            data[i * 4] = (hex >> 16) & 0xff;
+            data[i * 4 + 1] = (hex >> 8) & 0xff;
+            data[i * 4 + 2] = hex & 0xff;
+            data[i * 4 + 3] = 255;
+        }
+
+        const texture = new THREE.DataTexture(data, size, 1, THREE.RGBAFormat);
+        texture.minFilter = THREE.LinearFilter;
+        texture.magFilter = THREE.LinearFilter;
+        texture.needsUpdate = true;
+        return texture;
+    }
+
+    drawToCanvas(canvas) {
+        const context = canvas.getContext('2d');
+        const { width, height } = canvas;
+        const color = new THREE.Color();
+
+        for (let x = 0; x < width; x++) {
+            this.getColor(x / Math.max(1, width - 1), color);
+            context.fillStyle = `#${color.getHexString()}`;
+            context.fillRect(x, 0, 1, height);
+        }
+    }
+}
+
+Colormap._cache = new Map();
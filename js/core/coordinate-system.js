@@ -1,27 +1,165 @@
-import { SeismicConfig } from '../config/seismic.config.js';
+import { SeismicConfig, VerticalExaggerationConfig } from '../config/seismic.config.js';
+import { SurveyConfig } from '../config/survey.config.js';
 
 export class CoordinateSystem {
 
+    // Inline/crossline arguments are survey line numbers unless the name says index
+
     static inlineToX(inline) {
-        const normalized = inline / (SeismicConfig.inlineCount - 1);
-        return normalized * SeismicConfig.imageWidth;
+        return this.inlineIndexToX(this.inlineNumberToIndex(inline));
     }
 
     static crosslineToZ(crossline) {
-        const normalized = crossline / (SeismicConfig.crosslineCount - 1);
-        return normalized * SeismicConfig.imageWidth;
+        return this.crosslineIndexToZ(this.crosslineNumberToIndex(crossline));
+    }
+
+    static inlineIndexToX(index) {
+        return this.indexToPosition(index, SeismicConfig.inlineCount);
+    }
+
+    static crosslineIndexToZ(index) {
+        return this.indexToPosition(index, SeismicConfig.crosslineCount);
+    }
+
+    static xToInlineIndex(x) {
+        return this.positionToIndex(x, SeismicConfig.inlineCount);
+    }
+
+    static zToCrosslineIndex(z) {
+        return this.positionToIndex(z, SeismicConfig.crosslineCount);
+    }
+
+    // Vertical extent of the volume in world units after exaggeration
+    static getSceneHeight() {
+        return SeismicConfig.imageHeight * this._verticalExaggeration;
+    }
+
+    static getVerticalExaggeration() {
+        return this._verticalExaggeration;
+    }
+
+    static setVerticalExaggeration(factor) {
+        if (!Number.isFinite(factor) || factor <= 0) {
+            throw new Error(`Vertical exaggeration must be a positive number, got ${factor}`);
+        }
+        this._verticalExaggeration = factor;
     }
 
     static timeToY(time) {
-        return -time + SeismicConfig.verticalOffset;
+        return (-time + SeismicConfig.verticalOffset) * this._verticalExaggeration;
     }
 
-    static seismicToWorld(point) {
-        return new THREE.Vector3(
-            this.inlineToX(point.inline || point.inline_n),
-            this.timeToY(point.time || point.z),
-            this.crosslineToZ(point.crossline || point.crossline_n)
+    static yToTime(y) {
+        return SeismicConfig.verticalOffset - y / this._verticalExaggeration;
+    }
+
+    static timeIndexToTime(index) {
+        return SeismicConfig.yTop + index * SeismicConfig.sampleInterval;
+    }
+
+    // Maps depthTop..depthBottom onto the same span as yTop..yBottom
+    static depthToY(depth) {
+        const { depthTop, depthBottom, yTop, yBottom } = SeismicConfig;
+        return this.timeToY(yTop + ((depth - depthTop) / (depthBottom - depthTop)) * (yBottom - yTop));
+    }
+
+    static yToDepth(y) {
+        const { depthTop, depthBottom, yTop, yBottom } = SeismicConfig;
+        return depthTop + ((this.yToTime(y) - yTop) / (yBottom - yTop)) * (depthBottom - depthTop);
+    }
+
+    static getDomain() {
+        return this._domain;
+    }
+
+    static setDomain(domain) {
+        if (domain === 'depth' && !this._velocityModel) {
+            throw new Error('Depth domain needs a velocity model');
+        }
+        this._domain = domain;
+    }
+
+    static getVelocityModel() {
+        return this._velocityModel;
+    }
+
+    static setVelocityModel(model) {
+        this._velocityModel = model;
+
+        const range = model.getDepthRange(
+            SeismicConfig.yTop,
+            SeismicConfig.yBottom,
+            SeismicConfig.inlineCount,
+            SeismicConfig.crosslineCount
         );
+        SeismicConfig.depthTop = range.min;
+        SeismicConfig.depthBottom = range.max;
+    }
+
+    // Vertical position of a two-way time at a location, in the current domain
+    static timeAtIndexToY(inlineIndex, crosslineIndex, time) {
+        if (this._domain === 'depth') {
+            return this.depthToY(this._velocityModel.timeToDepth(inlineIndex, crosslineIndex, time));
+        }
+        return this.timeToY(time);
+    }
+
+    // Vertical position of a TVDSS depth at a location, or null if it cannot be converted
+    static depthAtIndexToY(inlineIndex, crosslineIndex, depth) {
+        if (this._domain === 'depth') {
+            return this.depthToY(depth);
+        }
+        if (this._velocityModel) {
+            return this.timeToY(this._velocityModel.depthToTime(inlineIndex, crosslineIndex, depth));
+        }
+        return null;
+    }
+
+    static surveyToWorld(inline, crossline, time, target = new THREE.Vector3()) {
+        return this.indexToWorld(
+            this.inlineNumberToIndex(inline),
+            this.crosslineNumberToIndex(crossline),
+            time,
+            target
+        );
+    }
+
+    static indexToWorld(inlineIndex, crosslineIndex, time, target = new THREE.Vector3()) {
+        return target.set(
+            this.inlineIndexToX(inlineIndex),
+            this.timeAtIndexToY(inlineIndex, crosslineIndex, time),
+            this.crosslineIndexToZ(crosslineIndex)
+        );
+    }
+
+    // Inverse of surveyToWorld, with grid indices and projected X/Y for readouts.
+    // depth is null in the time domain when no velocity model is loaded.
+    static worldToSurvey(position) {
+        const inlineIndex = this.xToInlineIndex(position.x);
+        const crosslineIndex = this.zToCrosslineIndex(position.z);
+        const { x, y } = this.indexToProjected(inlineIndex, crosslineIndex);
+        const model = this._velocityModel;
+
+        let time;
+        let depth;
+        if (this._domain === 'depth') {
+            depth = this.yToDepth(position.y);
+            time = model.depthToTime(inlineIndex, crosslineIndex, depth);
+        } else {
+            time = this.yToTime(position.y);
+            depth = model ? model.timeToDepth(inlineIndex, crosslineIndex, time) : null;
+        }
+
+        return {
+            inlineIndex,
+            crosslineIndex,
+            inline: this.indexToInlineNumber(inlineIndex),
+            crossline: this.indexToCrosslineNumber(crosslineIndex),
+            time,
+            depth,
+            x,
+            y
+        };
     }
 
     static indexToPosition(index, maxCount) {
@@ -29,11 +167,60 @@ export class CoordinateSystem {
         return normalized * SeismicConfig.imageWidth;
     }
 
+    static positionToIndex(position, maxCount) {
+        return (position / SeismicConfig.imageWidth) * (maxCount - 1);
+    }
+
+    static inlineNumberToIndex(inlineNumber) {
+        return (inlineNumber - SeismicConfig.firstInline) / SeismicConfig.inlineIncrement;
+    }
+
+    static crosslineNumberToIndex(crosslineNumber) {
+        return (crosslineNumber - SeismicConfig.firstCrossline) / SeismicConfig.crosslineIncrement;
+    }
+
+    static indexToInlineNumber(index) {
+        return SeismicConfig.firstInline + index * SeismicConfig.inlineIncrement;
+    }
+
+    static indexToCrosslineNumber(index) {
+        return SeismicConfig.firstCrossline + index * SeismicConfig.crosslineIncrement;
+    }
+
+    // Survey grid indices to projected X/Y in the survey CRS
+    static indexToProjected(inlineIndex, crosslineIndex) {
+        const { origin, binSpacing, rotation } = SurveyConfig;
+        const angle = THREE.MathUtils.degToRad(rotation);
+        const along = crosslineIndex * binSpacing.crossline;
+        const across = inlineIndex * binSpacing.inline;
+
+        return {
+            x: origin.x + along * Math.sin(angle) + across * Math.cos(angle),
+            y: origin.y + along * Math.cos(angle) - across * Math.sin(angle)
+        };
+    }
+
+    static projectedToIndex(x, y) {
+        const { origin, binSpacing, rotation } = SurveyConfig;
+        const angle = THREE.MathUtils.degToRad(rotation);
+        const dx = x - origin.x;
+        const dy = y - origin.y;
+
+        return {
+            inline: (dx * Math.cos(angle) - dy * Math.sin(angle)) / binSpacing.inline,
+            crossline: (dx * Math.sin(angle) + dy * Math.cos(angle)) / binSpacing.crossline
+        };
+    }
+
     static getBoundingBoxCenter() {
         return {
             x: SeismicConfig.imageWidth / 2,
-            y: SeismicConfig.imageHeight / 2,
+            y: this.getSceneHeight() / 2,
             z: SeismicConfig.imageWidth / 2
         };
     }
-}
\ No newline at end of file
+}
+
+CoordinateSystem._domain = 'time';
+CoordinateSystem._velocityModel = null;
+CoordinateSystem._verticalExaggeration = VerticalExaggerationConfig.default;
@@ -0,0 +1,103 @@
+// Horizon cutoffs against a fault, stick by stick. Sticks are [a, b] pairs of
+// { inline_n, crossline_n, time } in survey index space; sample(inlineIndex, crosslineIndex)
+// returns the horizon's time there or NaN.
+//
+// On each side the horizon is read along the fault's horizontal normal, from `gap` to
+// `gap + window` grid indices away from the fault so the poorly picked zone next to it is
+// skipped, fitted with a line and extended until it meets the fault plane.
+export class FaultThrow {
+    // One { hangingWall, footwall } per stick of a run of consecutive sticks, each a stick point
+    // or null where the horizon is missing on that side or meets the fault outside the stick.
+    // The hanging wall is the side the fault dips towards; for vertical sticks it is arbitrary.
+    static cutoffs(sticks, sample, { gap = 2, window = 8, step = 1 } = {}) {
+        const middles = sticks.map(stick => FaultThrow._middle(stick));
+
+        return sticks.map((stick, k) => {
+            const [top, bottom] = stick[0].time <= stick[1].time ? stick : [stick[1], stick[0]];
+            const normal = FaultThrow._normal(middles[Math.max(0, k - 1)], middles[Math.min(sticks.length - 1, k + 1)]);
+            const span = bottom.time - top.time;
+            if (!normal || span <= 0) return { hangingWall: null, footwall: null };
+
+            const dip = {
+                inline: (bottom.inline_n - top.inline_n) / span,
+                crossline: (bottom.crossline_n - top.crossline_n) / span
+            };
+            if (normal.inline * dip.inline + normal.crossline * dip.crossline < 0) {
+                normal.inline = -normal.inline;
+                normal.crossline = -normal.crossline;
+            }
+            // Horizontal shift of the fault along the normal per unit of time
+            const slope = normal.inline * dip.inline + normal.crossline * dip.crossline;
+            const faultAt = (time) => ({
+                inline_n: top.inline_n + (time - top.time) * dip.inline,
+                crossline_n: top.crossline_n + (time - top.time) * dip.crossline,
+                time
+            });
+
+            // The horizon's level beside the stick's middle places the rays that find the cutoffs
+            const middle = faultAt((top.time + bottom.time) / 2);
+            const beside = [1, -1]
+                .map(side => FaultThrow._fitSide(middle, normal, side, sample, gap, window, step))
+                .filter(Boolean);
+            if (beside.length === 0) return { hangingWall: null, footwall: null };
+
+            const level = beside.reduce((sum, fit) => sum + fit.intercept + fit.gradient * gap, 0) / beside.length;
+            const origin = faultAt(level);
+
+            const cutoff = (side) => {
+                const fit = FaultThrow._fitSide(origin, normal, side, sample, gap, window, step);
+                if (!fit) return null;
+
+                // Along the ray the fault sits at u = side * slope * (time - level)
+                const denominator = 1 - fit.gradient * side * slope;
+                if (Math.abs(denominator) < 1e-6) return null;
+
+                const time = (fit.intercept - fit.gradient * side * slope * level) / denominator;
+                return time >= top.time && time <= bottom.time ? faultAt(time) : null;
+            };
+
+            return { hangingWall: cutoff(1), footwall: cutoff(-1) };
+        });
+    }
+
+    // Least-squares line time = intercept + gradient * u through the horizon at distances u
+    // along side * normal from origin; null with fewer than two samples
+    static _fitSide(origin, normal, side, sample, gap, window, step) {
+        let count = 0;
+        let sumU = 0;
+        let sumT = 0;
+        let sumUU = 0;
+        let sumUT = 0;
+
+        for (let u = gap; u <= gap + window; u += step) {
+            const time = sample(
+                origin.inline_n + side * normal.inline * u,
+                origin.crossline_n + side * normal.crossline * u
+            );
+            if (!Number.isFinite(time)) continue;
+
+            count++;
+            sumU += u;
+            sumT += time;
+            sumUU += u * u;
+            sumUT += u * time;
+        }
+
+        if (count < 2) return null;
+
+        const gradient = (count * sumUT - sumU * sumT) / (count * sumUU - sumU * sumU);
+        return { intercept: (sumT - gradient * sumU) / count, gradient };
+    }
+
+    static _middle([a, b]) {
+        return { inline: (a.inline_n + b.inline_n) / 2, crossline: (a.crossline_n + b.crossline_n) / 2 };
+    }
+
+    // Unit horizontal normal to the strike from one stick middle to another, or null if they coincide
+    static _normal(from, to) {
+        const inline = to.inline - from.inline;
+        const crossline = to.crossline - from.crossline;
+        const length = Math.hypot(inline, crossline);
+        return length > 0 ? { inline: -crossline / length, crossline: inline / length } : null;
+    }
+}
@@ -0,0 +1,77 @@
+// Neighbourhood filters on a regular grid: row-major Float32Arrays with NaN where empty.
+// Windows are square and `window` nodes wide (odd); empty nodes are left out of every statistic.
+export class GridFilters {
+    // Mean or median of each node's window. Empty nodes stay empty, so holes are not filled.
+    static smooth(values, rows, columns, { method = 'median', window = 3 } = {}) {
+        const half = Math.floor(window / 2);
+        const reduce = GridFilters._reducers[method];
+        if (!reduce) {
+            throw new Error(`Unknown smoothing method: ${method}`);
+        }
+
+        const result = new Float32Array(values.length).fill(NaN);
+        for (let row = 0; row < rows; row++) {
+            for (let column = 0; column < columns; column++) {
+                const node = row * columns + column;
+                if (!Number.isFinite(values[node])) continue;
+
+                result[node] = reduce(GridFilters._window(values, rows, columns, row, column, half, true));
+            }
+        }
+
+        return result;
+    }
+
+    // Nodes further than threshold from the median of their neighbours, largest first, as
+    // { node, expected, deviation }. Nodes with fewer than three neighbours are not judged.
+    static spikes(values, rows, columns, { threshold, window = 3 }) {
+        const half = Math.floor(window / 2);
+        const spikes = [];
+
+        for (let row = 0; row < rows; row++) {
+            for (let column = 0; column < columns; column++) {
+                const node = row * columns + column;
+                if (!Number.isFinite(values[node])) continue;
+
+                const neighbours = GridFilters._window(values, rows, columns, row, column, half, false);
+                if (neighbours.length < 3) continue;
+
+                const expected = GridFilters._median(neighbours);
+                const deviation = values[node] - expected;
+                if (Math.abs(deviation) > threshold) {
+                    spikes.push({ node, expected, deviation });
+                }
+            }
+        }
+
+        return spikes.sort((a, b) => Math.abs(b.deviation) - Math.abs(a.deviation));
+    }
+
+    static _window(values, rows, columns, row, column, half, includeCentre) {
+        const found = [];
+        for (let r = Math.max(0, row - half); r <= Math.min(rows - 1, row + half); r++) {
+            for (let c = Math.max(0, column - half); c <= Math.min(columns - 1, column + half); c++) {
+                if (!includeCentre && r === row && c === column) continue;
+
+                const value = values[r * columns + c];
+                if (Number.isFinite(value)) found.push(value);
+            }
+        }
+        return found;
+    }
+
+    static _median(list) {
+        const sorted = Float64Array.from(list).sort();
+        const middle = sorted.length >> 1;
+        return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    }
+
+    static _mean(list) {
+        return list.reduce((sum, value) => sum + value, 0) / list.length;
+    }
+}
+
+GridFilters._reducers = {
+    median: GridFilters._median,
+    mean: GridFilters._mean
+};
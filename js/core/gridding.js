@@ -0,0 +1,250 @@
+// Fills the empty nodes of a regular grid from its known ones. Grids are row-major Float32Arrays
+// with NaN where empty; barrier is a Uint8Array of the same size, 1 on nodes a fault passes
+// through. Nothing here touches THREE or the DOM so it runs unchanged inside a worker.
+export class Gridding {
+    // options: { method: 'idw' | 'minimumCurvature', radius, power, neighbours, iterations, tolerance }
+    // with radius in nodes. Nodes with no visible sample within the radius stay empty, and
+    // nodes on a barrier take no part in the interpolation, keeping any sample they hold.
+    static fill(values, rows, columns, barrier, options) {
+        const filled = Gridding.inverseDistance(values, rows, columns, barrier, options);
+        if (options.method !== 'minimumCurvature') return filled;
+
+        return Gridding.minimumCurvature(values, filled, rows, columns, barrier, options);
+    }
+
+    // Each empty node from its nearest known nodes, weighted by 1 / distance^power.
+    // Samples are only used when the straight path to them crosses no barrier node.
+    static inverseDistance(values, rows, columns, barrier, { radius, power, neighbours }) {
+        const result = Float32Array.from(values);
+        const maxRing = Math.ceil(radius);
+        const table = Gridding._summedArea(values, rows, columns);
+
+        for (let row = 0; row < rows; row++) {
+            for (let column = 0; column < columns; column++) {
+                const node = row * columns + column;
+                if (Number.isFinite(values[node]) || barrier[node]) continue;
+                // Most of a sparse grid is out of reach of every sample; skip the ring search there
+                if (Gridding._boxMean(table, rows, columns, row - maxRing, column - maxRing, row + maxRing, column + maxRing) === null) continue;
+
+                const candidates = [];
+                for (let ring = 1; ring <= maxRing; ring++) {
+                    Gridding._ring(row, column, ring, rows, columns, (r, c) => {
+                        const value = values[r * columns + c];
+                        const distance = Math.hypot(r - row, c - column);
+                        if (Number.isFinite(value) && distance <= radius) {
+                            candidates.push({ r, c, value, distance });
+                        }
+                    });
+
+                    // Rings are square, so only stop once no closer sample can still turn up
+                    if (candidates.length >= neighbours) {
+                        candidates.sort((a, b) => a.distance - b.distance);
+                        if (candidates[neighbours - 1].distance <= ring) break;
+                    }
+                }
+
+                candidates.sort((a, b) => a.distance - b.distance);
+                let sum = 0;
+                let weights = 0;
+                let used = 0;
+                for (const { r, c, value, distance } of candidates) {
+                    if (used === neighbours) break;
+                    if (!Gridding._visible(row, column, r, c, columns, barrier)) continue;
+
+                    const weight = 1 / Math.pow(distance, power);
+                    sum += value * weight;
+                    weights += weight;
+                    used++;
+                }
+
+                if (used > 0) {
+                    result[node] = sum / weights;
+                }
+            }
+        }
+
+        return result;
+    }
+
+    // Relaxes the inverse-distance fill towards the minimum-curvature (biharmonic) surface,
+    // known nodes held fixed. Nodes whose stencil reaches outside the filled area or onto
+    // a barrier use the four-neighbour (harmonic) average instead.
+    static minimumCurvature(values, initial, rows, columns, barrier, { iterations, tolerance }) {
+        const z = Float32Array.from(initial);
+        const inside = (r, c) => r >= 0 && c >= 0 && r < rows && c < columns &&
+            !barrier[r * columns + c] && Number.isFinite(z[r * columns + c]);
+
+        const near = [[-1, 0], [1, 0], [0, -1], [0, 1]];
+        const diagonal = [[-1, -1], [-1, 1], [1, -1], [1, 1]];
+        const far = [[-2, 0], [2, 0], [0, -2], [0, 2]];
+        const offsets = (list) => list.map(([dr, dc]) => dr * columns + dc);
+        const [nearOffsets, diagonalOffsets, farOffsets] = [near, diagonal, far].map(offsets);
+
+        // The filled area does not change while relaxing, so each node's stencil is fixed
+        const biharmonic = [];
+        const harmonic = [];
+        for (let node = 0; node < z.length; node++) {
+            if (Number.isFinite(values[node]) || !Number.isFinite(z[node])) continue;
+
+            const row = Math.floor(node / columns);
+            const column = node % columns;
+            if ([...near, ...diagonal, ...far].every(([dr, dc]) => inside(row + dr, column + dc))) {
+                biharmonic.push(node);
+            } else {
+                const available = near
+                    .filter(([dr, dc]) => inside(row + dr, column + dc))
+                    .map(([dr, dc]) => dr * columns + dc);
+                if (available.length > 0) harmonic.push({ node, available });
+            }
+        }
+
+        const sum = (node, list) => {
+            let total = 0;
+            for (let i = 0; i < list.length; i++) total += z[node + list[i]];
+            return total;
+        };
+
+        for (let iteration = 0; iteration < iterations; iteration++) {
+            let maxChange = 0;
+
+            for (const node of biharmonic) {
+                const next = (8 * sum(node, nearOffsets) - 2 * sum(node, diagonalOffsets) - sum(node, farOffsets)) / 20;
+                maxChange = Math.max(maxChange, Math.abs(next - z[node]));
+                z[node] = next;
+            }
+            for (const { node, available } of harmonic) {
+                const next = sum(node, available) / available.length;
+                maxChange = Math.max(maxChange, Math.abs(next - z[node]));
+                z[node] = next;
+            }
+
+            if (maxChange < tolerance) break;
+        }
+
+        return z;
+    }
+
+    // Barrier mask from fault triangles given as [{ row, column, z }] in grid coordinates.
+    // Each triangle is cut at the local level of the known values around it, so a dipping
+    // fault blocks along its trace on the surface rather than across its whole footprint.
+    static faultBarrier(values, rows, columns, triangles, radius) {
+        const barrier = new Uint8Array(rows * columns);
+        const table = Gridding._summedArea(values, rows, columns);
+
+        triangles.forEach(triangle => {
+            const rowsOf = triangle.map(p => p.row);
+            const columnsOf = triangle.map(p => p.column);
+            const level = Gridding._boxMean(table, rows, columns,
+                Math.min(...rowsOf) - radius, Math.min(...columnsOf) - radius,
+                Math.max(...rowsOf) + radius, Math.max(...columnsOf) + radius);
+            if (level === null) return;
+
+            const cut = [];
+            for (let i = 0; i < 3; i++) {
+                const a = triangle[i];
+                const b = triangle[(i + 1) % 3];
+                if ((a.z - level) * (b.z - level) > 0 || a.z === b.z) continue;
+
+                const t = (level - a.z) / (b.z - a.z);
+                cut.push({ row: a.row + t * (b.row - a.row), column: a.column + t * (b.column - a.column) });
+            }
+            if (cut.length >= 2) {
+                Gridding.rasterizeSegment(barrier, rows, columns, cut[0], cut[1]);
+            }
+        });
+
+        return barrier;
+    }
+
+    // Running sums of known values and their count, one row and column larger than the grid
+    static _summedArea(values, rows, columns) {
+        const width = columns + 1;
+        const sums = new Float64Array((rows + 1) * width);
+        const counts = new Uint32Array((rows + 1) * width);
+
+        for (let row = 0; row < rows; row++) {
+            for (let column = 0; column < columns; column++) {
+                const value = values[row * columns + column];
+                const known = Number.isFinite(value);
+                const at = (row + 1) * width + column + 1;
+                sums[at] = (known ? value : 0) + sums[at - 1] + sums[at - width] - sums[at - width - 1];
+                counts[at] = (known ? 1 : 0) + counts[at - 1] + counts[at - width] - counts[at - width - 1];
+            }
+        }
+
+        return { sums, counts, width };
+    }
+
+    // Mean of the known values in an inclusive box, or null when it holds none
+    static _boxMean({ sums, counts, width }, rows, columns, r0, c0, r1, c1) {
+        const top = Math.max(0, Math.floor(r0));
+        const left = Math.max(0, Math.floor(c0));
+        const bottom = Math.min(rows, Math.ceil(r1) + 1);
+        const right = Math.min(columns, Math.ceil(c1) + 1);
+        if (top >= bottom || left >= right) return null;
+
+        const box = (table) => table[bottom * width + right] - table[top * width + right]
+            - table[bottom * width + left] + table[top * width + left];
+        const count = box(counts);
+        return count > 0 ? box(sums) / count : null;
+    }
+
+    // Nodes on the square ring at Chebyshev distance `ring` around (row, column)
+    static _ring(row, column, ring, rows, columns, visit) {
+        for (let dc = -ring; dc <= ring; dc++) {
+            [row - ring, row + ring].forEach(r => {
+                const c = column + dc;
+                if (r >= 0 && r < rows && c >= 0 && c < columns) visit(r, c);
+            });
+        }
+        for (let dr = -ring + 1; dr <= ring - 1; dr++) {
+            [column - ring, column + ring].forEach(c => {
+                const r = row + dr;
+                if (r >= 0 && r < rows && c >= 0 && c < columns) visit(r, c);
+            });
+        }
+    }
+
+    // True when the four-connected walk between two nodes crosses no barrier node
+    static _visible(r0, c0, r1, c1, columns, barrier) {
+        return Gridding._walk(r0, c0, r1, c1, (r, c) => !barrier[r * columns + c]);
+    }
+
+    // Marks the nodes a segment between fractional grid positions passes through
+    static rasterizeSegment(barrier, rows, columns, from, to) {
+        const r0 = Math.round(from.row);
+        const c0 = Math.round(from.column);
+        const mark = (r, c) => {
+            if (r >= 0 && r < rows && c >= 0 && c < columns) barrier[r * columns + c] = 1;
+            return true;
+        };
+
+        mark(r0, c0);
+        Gridding._walk(r0, c0, Math.round(to.row), Math.round(to.column), mark);
+    }
+
+    // Steps from one node to another one axis at a time, keeping closest to the straight line,
+    // and calls visit on every node after the first until it returns false. Barriers are drawn
+    // and tested with the same walk, so a line between samples cannot slip through one diagonally.
+    static _walk(r0, c0, r1, c1, visit) {
+        const steps = Math.abs(r1 - r0) + Math.abs(c1 - c0);
+        let r = r0;
+        let c = c0;
+
+        for (let i = 0; i < steps; i++) {
+            const dr = Math.sign(r1 - r);
+            const dc = Math.sign(c1 - c);
+            const offRow = Math.abs((r + dr - r0) * (c1 - c0) - (c - c0) * (r1 - r0));
+            const offColumn = Math.abs((r - r0) * (c1 - c0) - (c + dc - c0) * (r1 - r0));
+            if (dc === 0 || (dr !== 0 && offRow <= offColumn)) {
+                r += dr;
+            } else {
+                c += dc;
+            }
+
+            if (!visit(r, c)) return false;
+        }
+
+        return true;
+    }
+}
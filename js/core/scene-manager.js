@@ -6,6 +6,7 @@ export class SceneManager {
         this.scene = null;
         this.camera = null;
         this.renderer = null;
+        this.boundingBox = null;
 
         this.orbitState = {
             isDragging: false,
@@ -28,6 +29,9 @@ export class SceneManager {
         this.mouse = new THREE.Vector2();
         this.tooltip = null;
         this.hoveredWell = null;
+        this.hoverListeners = [];
+        this.clickListeners = [];
+        this._mouseDownAt = null;
 
         this._lastRaycastTime = 0;
         this._raycastThrottle = 50; // ms between raycasts
@@ -81,10 +85,17 @@ export class SceneManager {
         const edges = new THREE.EdgesGeometry(geometry);
         const material = new THREE.LineBasicMaterial({ color: StyleConfig.boundingBoxColor });
 
-        const wireframe = new THREE.LineSegments(edges, material);
-        wireframe.position.set(imageWidth / 2, 0, imageWidth / 2);
+        this.boundingBox = new THREE.LineSegments(edges, material);
+        this.boundingBox.position.set(imageWidth / 2, 0, imageWidth / 2);
+        this.boundingBox.scale.y = CoordinateSystem.getVerticalExaggeration();
 
-        this.scene.add(wireframe);
+        this.scene.add(this.boundingBox);
+    }
+
+    // Follows CoordinateSystem.setVerticalExaggeration; scene objects refresh through their facades
+    updateVerticalScale() {
+        this.boundingBox.scale.y = CoordinateSystem.getVerticalExaggeration();
+        this._updateCameraPosition();
     }
 
     _setupCameraControls() {
@@ -175,6 +186,24 @@ export class SceneManager {
         this._updateCameraPosition();
     }
 
+    // Centers the orbit on a world-space Box3 and moves in or out until it fits the view,
+    // keeping the current viewing direction
+    frame(box) {
+        if (box.isEmpty()) return;
+
+        const sphere = box.getBoundingSphere(new THREE.Sphere());
+        const center = CoordinateSystem.getBoundingBoxCenter();
+        this.orbitState.targetOffset = {
+            x: sphere.center.x - center.x,
+            y: sphere.center.y - center.y,
+            z: sphere.center.z - center.z
+        };
+
+        const distance = 1.2 * sphere.radius / Math.sin(THREE.MathUtils.degToRad(this.camera.fov) / 2);
+        this.orbitState.radius = Math.max(CameraConfig.minRadius, Math.min(CameraConfig.maxRadius, distance));
+        this._updateCameraPosition();
+    }
+
     _updateCameraPosition() {
         const center = CoordinateSystem.getBoundingBoxCenter();
         const { radius, phi, theta, targetOffset } = this.orbitState;
@@ -220,7 +249,6 @@ export class SceneManager {
 
         if (!this.tooltip) {
             console.warn('Well tooltip element not found');
-            return;
         }
 
         this.renderer.domElement.addEventListener('mousemove', (event) => {
@@ -228,23 +256,80 @@ export class SceneManager {
                 this._hideTooltip();
                 return;
             }
+
+            const now = performance.now();
+            if (now - this._lastRaycastTime < this._raycastThrottle) {
+                return;
+            }
+            this._lastRaycastTime = now;
+
+            this._updateRaycaster(event);
             this._checkWellHover(event);
+            this._notifyHover();
         });
-    }
 
-    _checkWellHover(e) {
-        const now = performance.now();
-        if (now - this._lastRaycastTime < this._raycastThrottle) {
-            return;
-        }
-        this._lastRaycastTime = now;
+        this.renderer.domElement.addEventListener('mouseleave', () => {
+            this.hoverListeners.forEach(callback => callback(null));
+        });
+
+        // A click only counts when the mouse barely moved, so orbiting does not trigger it
+        this.renderer.domElement.addEventListener('mousedown', (event) => {
+            this._mouseDownAt = { x: event.clientX, y: event.clientY };
+        });
+
+        this.renderer.domElement.addEventListener('click', (event) => {
+            if (!this._mouseDownAt || this.clickListeners.length === 0) return;
+
+            const moved = Math.hypot(event.clientX - this._mouseDownAt.x, event.clientY - this._mouseDownAt.y);
+            if (moved > 4) return;
+
+            this._updateRaycaster(event);
+            this.clickListeners.forEach(callback => callback(event));
+        });
+    }
 
+    _updateRaycaster(e) {
         const rect = this.renderer.domElement.getBoundingClientRect();
         this.mouse.x = ((e.clientX - rect.left) / rect.width) * 2 - 1;
         this.mouse.y = -((e.clientY - rect.top) / rect.height) * 2 + 1;
 
         this.raycaster.setFromCamera(this.mouse, this.camera);
+    }
+
+    addHoverListener(callback) {
+        this.hoverListeners.push(callback);
+    }
+
+    // Called with the mouse event of a click on the canvas; pick() then reads under the click
+    addClickListener(callback) {
+        this.clickListeners.push(callback);
+    }
 
+    // First visible surface marked pickable under the cursor, in world and survey coordinates.
+    // filter narrows the candidates by their userData, e.g. to seismic planes only.
+    pick(filter = () => true) {
+        const pickable = this.scene.children.filter(
+            obj => obj.visible && obj.userData && obj.userData.pickable && filter(obj.userData)
+        );
+
+        const [hit] = this.raycaster.intersectObjects(pickable, false);
+        if (!hit) return null;
+
+        return {
+            object: hit.object,
+            point: hit.point,
+            survey: CoordinateSystem.worldToSurvey(hit.point)
+        };
+    }
+
+    _notifyHover() {
+        if (this.hoverListeners.length === 0) return;
+
+        const result = this.pick();
+        this.hoverListeners.forEach(callback => callback(result));
+    }
+
+    _checkWellHover(e) {
         const wellMeshes = this.scene.children.filter(
             obj => obj.userData && obj.userData.type === 'well'
         );
@@ -0,0 +1,135 @@
+// Geometric attributes of a gridded surface over Float32Array grids (NaN where empty). Nothing here
+// touches THREE or the DOM so it runs unchanged inside a worker.
+//
+// grid is row-major with rows along inlines and columns along crosslines; spacing gives the
+// distance between rows/columns in metres and depths are positive down, in metres.
+
+export class SurfaceAttributes {
+    static compute(name, grid, rows, columns, spacing, options) {
+        switch (name) {
+            case 'dip':
+                return SurfaceAttributes._mapGradient(grid, rows, columns, spacing, (gRow, gColumn) =>
+                    Math.atan(Math.hypot(gRow, gColumn)) * 180 / Math.PI
+                );
+            case 'azimuth':
+                return SurfaceAttributes._mapGradient(grid, rows, columns, spacing, (gRow, gColumn) => {
+                    // Down-dip direction, turned from grid axes to azimuth from grid north
+                    const { east, north } = SurfaceAttributes._toMapAxes(gRow, gColumn, options.rotation);
+                    return (Math.atan2(east, north) * 180 / Math.PI + 360) % 360;
+                });
+            case 'hillshade':
+                return SurfaceAttributes._mapGradient(grid, rows, columns, spacing, (gRow, gColumn) =>
+                    SurfaceAttributes._hillshade(gRow, gColumn, options)
+                );
+            case 'meanCurvature':
+                return SurfaceAttributes._mapQuadratic(grid, rows, columns, spacing, ({ a, b, c, d, e }) =>
+                    (a * (1 + e * e) + b * (1 + d * d) - c * d * e) / Math.pow(1 + d * d + e * e, 1.5)
+                );
+            case 'mostPositiveCurvature':
+                return SurfaceAttributes._mapQuadratic(grid, rows, columns, spacing, ({ a, b, c }) =>
+                    (a + b) + Math.sqrt((a - b) * (a - b) + c * c)
+                );
+            default:
+                throw new Error(`Unknown surface attribute: ${name}`);
+        }
+    }
+
+    // Range between two percentiles of the finite values, so a few spikes do not wash out the colors
+    static percentileRange(values, low = 2, high = 98) {
+        const finite = Float32Array.from(values.filter(Number.isFinite)).sort();
+        if (finite.length === 0) return { min: 0, max: 1 };
+
+        const at = (percent) => finite[Math.min(finite.length - 1, Math.floor(percent / 100 * finite.length))];
+        const min = at(low);
+        const max = at(high);
+        return min < max ? { min, max } : { min: finite[0], max: finite[finite.length - 1] };
+    }
+
+    // Depth gradient per node from central differences, one-sided at edges and next to holes
+    static _mapGradient(grid, rows, columns, spacing, fn) {
+        const result = new Float32Array(grid.length).fill(NaN);
+        const at = (row, column) =>
+            row < 0 || column < 0 || row >= rows || column >= columns ? NaN : grid[row * columns + column];
+
+        const derivative = (centre, before, after, step) => {
+            if (Number.isFinite(before) && Number.isFinite(after)) return (after - before) / (2 * step);
+            if (Number.isFinite(after)) return (after - centre) / step;
+            if (Number.isFinite(before)) return (centre - before) / step;
+            return NaN;
+        };
+
+        for (let row = 0; row < rows; row++) {
+            for (let column = 0; column < columns; column++) {
+                const centre = at(row, column);
+                if (!Number.isFinite(centre)) continue;
+
+                const gRow = derivative(centre, at(row - 1, column), at(row + 1, column), spacing.row);
+                const gColumn = derivative(centre, at(row, column - 1), at(row, column + 1), spacing.column);
+                if (Number.isFinite(gRow) && Number.isFinite(gColumn)) {
+                    result[row * columns + column] = fn(gRow, gColumn);
+                }
+            }
+        }
+
+        return result;
+    }
+
+    // Local quadratic z = ax² + by² + cxy + dx + ey + f from the 3x3 neighbourhood (Roberts, 2001)
+    static _mapQuadratic(grid, rows, columns, spacing, fn) {
+        const result = new Float32Array(grid.length).fill(NaN);
+        const dx = spacing.row;
+        const dy = spacing.column;
+
+        for (let row = 1; row < rows - 1; row++) {
+            for (let column = 1; column < columns - 1; column++) {
+                const z = (dr, dc) => grid[(row + dr) * columns + column + dc];
+                const window = [-1, 0, 1].flatMap(dr => [-1, 0, 1].map(dc => z(dr, dc)));
+                if (!window.every(Number.isFinite)) continue;
+
+                const a = (z(1, 0) + z(-1, 0) - 2 * z(0, 0)) / (2 * dx * dx);
+                const b = (z(0, 1) + z(0, -1) - 2 * z(0, 0)) / (2 * dy * dy);
+                const c = (z(1, 1) - z(1, -1) - z(-1, 1) + z(-1, -1)) / (4 * dx * dy);
+                const d = (z(1, 0) - z(-1, 0)) / (2 * dx);
+                const e = (z(0, 1) - z(0, -1)) / (2 * dy);
+
+                result[row * columns + column] = fn({ a, b, c, d, e });
+            }
+        }
+
+        return result;
+    }
+
+    // Inline axis points 90° clockwise from the crossline axis, which points at `rotation`
+    static _toMapAxes(gRow, gColumn, rotation) {
+        const angle = rotation * Math.PI / 180;
+        return {
+            east: gRow * Math.cos(angle) + gColumn * Math.sin(angle),
+            north: -gRow * Math.sin(angle) + gColumn * Math.cos(angle)
+        };
+    }
+
+    // Lambertian shading of the surface (elevation = -depth) under a light at azimuth/altitude
+    static _hillshade(gRow, gColumn, { rotation, lightAzimuth, lightAltitude }) {
+        const { east, north } = SurfaceAttributes._toMapAxes(gRow, gColumn, rotation);
+        const azimuth = lightAzimuth * Math.PI / 180;
+        const altitude = lightAltitude * Math.PI / 180;
+
+        // Normal of elevation -depth is (east, north, 1) before normalising
+        const length = Math.sqrt(east * east + north * north + 1);
+        const shade = (
+            east * Math.sin(azimuth) * Math.cos(altitude) +
+            north * Math.cos(azimuth) * Math.cos(altitude) +
+            Math.sin(altitude)
+        ) / length;
+
+        return Math.max(0, shade);
+    }
+}
+
+SurfaceAttributes.definitions = {
+    dip: { label: 'Dip', unit: '°' },
+    azimuth: { label: 'Dip azimuth', unit: '°' },
+    meanCurvature: { label: 'Mean curvature', unit: '1/m' },
+    mostPositiveCurvature: { label: 'Most-positive curvature', unit: '1/m' },
+    hillshade: { label: 'Hillshade', unit: '' }
+};
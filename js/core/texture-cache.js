@@ -0,0 +1,90 @@
+export class TextureCache {
+    constructor(maxBytes) {
+        this.maxBytes = maxBytes;
+        this.entries = new Map(); // key -> { texture, bytes }, oldest first
+        this.pins = new Map();    // key -> number of planes displaying it
+        this.totalBytes = 0;
+    }
+
+    has(key) {
+        return this.entries.has(key);
+    }
+
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+
+        // Re-insert to mark as most recently used
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return entry.texture;
+    }
+
+    set(key, texture) {
+        if (this.entries.has(key)) {
+            const existing = this.entries.get(key);
+            if (existing.texture === texture) return;
+            this._remove(key);
+        }
+
+        const bytes = TextureCache.estimateBytes(texture);
+        this.entries.set(key, { texture, bytes });
+        this.totalBytes += bytes;
+
+        // The caller is about to use the new texture, so it may sit over budget until the next eviction
+        this._evict(key);
+    }
+
+    pin(key) {
+        this.pins.set(key, (this.pins.get(key) || 0) + 1);
+    }
+
+    unpin(key) {
+        const count = (this.pins.get(key) || 0) - 1;
+        if (count > 0) {
+            this.pins.set(key, count);
+        } else {
+            this.pins.delete(key);
+        }
+        this._evict();
+    }
+
+    _evict(keep = null) {
+        for (const key of this.entries.keys()) {
+            if (this.totalBytes <= this.maxBytes) break;
+            if (key === keep || this.pins.has(key)) continue;
+            this._remove(key);
+        }
+    }
+
+    _remove(key) {
+        const entry = this.entries.get(key);
+        this.entries.delete(key);
+        this.totalBytes -= entry.bytes;
+        entry.texture.dispose();
+    }
+
+    clear() {
+        [...this.entries.keys()].forEach(key => this._remove(key));
+        this.pins.clear();
+    }
+
+    getStats() {
+        return {
+            count: this.entries.size,
+            totalBytes: this.totalBytes,
+            maxBytes: this.maxBytes
+        };
+    }
+
+    static estimateBytes(texture) {
+        const { image } = texture;
+        if (!image) return 0;
+
+        const bytesPerPixel = image.data?.BYTES_PER_ELEMENT
+            ? image.data.BYTES_PER_ELEMENT * (texture.format === THREE.RedFormat ? 1 : 4)
+            : 4;
+
+        return (image.width || 0) * (image.height || 0) * bytesPerPixel;
+    }
+}
@@ -0,0 +1,196 @@
+// Time-depth relation at one location: two-way time (ms) -> depth (m, positive down)
+export class TimeDepthFunction {
+    constructor(pairs) {
+        const sorted = [...pairs]
+            .filter(([time, depth]) => Number.isFinite(time) && Number.isFinite(depth))
+            .sort((a, b) => a[0] - b[0]);
+
+        if (sorted.length === 0) {
+            throw new Error('Time-depth function needs at least one time/depth pair');
+        }
+        if (sorted[0][0] > 0) {
+            sorted.unshift([0, 0]);
+        }
+
+        this.times = sorted.map(([time]) => time);
+        this.depths = sorted.map(([, depth]) => depth);
+    }
+
+    static fromVelocities(times, velocities, velocityType = 'interval') {
+        if (velocityType === 'average') {
+            return new TimeDepthFunction(times.map((time, i) => [time, velocities[i] * time / 2000]));
+        }
+
+        // Interval velocity i applies from times[i] down to times[i + 1]
+        const pairs = [[times[0], velocities[0] * times[0] / 2000]];
+        for (let i = 1; i < times.length; i++) {
+            const [, depth] = pairs[i - 1];
+            pairs.push([times[i], depth + velocities[i - 1] * (times[i] - times[i - 1]) / 2000]);
+        }
+        return new TimeDepthFunction(pairs);
+    }
+
+    toDepth(time) {
+        return TimeDepthFunction._interpolate(this.times, this.depths, time);
+    }
+
+    toTime(depth) {
+        return TimeDepthFunction._interpolate(this.depths, this.times, depth);
+    }
+
+    // Piecewise linear, extrapolating beyond either end with the nearest segment
+    static _interpolate(xs, ys, x) {
+        const last = xs.length - 1;
+        if (last === 0) {
+            return xs[0] === 0 ? ys[0] : ys[0] * x / xs[0];
+        }
+
+        let lo = 0;
+        let hi = last;
+        if (x <= xs[0]) {
+            hi = 1;
+        } else if (x >= xs[last]) {
+            lo = last - 1;
+        } else {
+            while (hi - lo > 1) {
+                const mid = (lo + hi) >> 1;
+                if (xs[mid] <= x) lo = mid;
+                else hi = mid;
+            }
+        }
+
+        const span = xs[hi] - xs[lo];
+        const t = span !== 0 ? (x - xs[lo]) / span : 0;
+        return ys[lo] + (ys[hi] - ys[lo]) * t;
+    }
+}
+
+// Converts between time and depth anywhere in the survey (locations are grid indices)
+export class VelocityModel {
+    timeToDepth(inlineIndex, crosslineIndex, time) {
+        const weights = this._weightsAt(inlineIndex, crosslineIndex);
+        let depth = 0;
+        for (const { fn, weight } of weights) {
+            depth += fn.toDepth(time) * weight;
+        }
+        return depth;
+    }
+
+    depthToTime(inlineIndex, crosslineIndex, depth) {
+        const weights = this._weightsAt(inlineIndex, crosslineIndex);
+        if (weights.length === 1) {
+            return weights[0].fn.toTime(depth);
+        }
+
+        // A blend of monotonic functions is monotonic, so bisect on it
+        let lo = 0;
+        let hi = 1000;
+        while (this.timeToDepth(inlineIndex, crosslineIndex, hi) < depth && hi < 1e6) {
+            hi *= 2;
+        }
+        for (let i = 0; i < 40; i++) {
+            const mid = (lo + hi) / 2;
+            if (this.timeToDepth(inlineIndex, crosslineIndex, mid) < depth) lo = mid;
+            else hi = mid;
+        }
+        return (lo + hi) / 2;
+    }
+
+    // Depth range covered by a time window, sampled at the survey corners and centre
+    getDepthRange(timeTop, timeBottom, inlineCount, crosslineCount) {
+        const il = [0, (inlineCount - 1) / 2, inlineCount - 1];
+        const xl = [0, (crosslineCount - 1) / 2, crosslineCount - 1];
+        let min = Infinity;
+        let max = -Infinity;
+
+        il.forEach(i => xl.forEach(x => {
+            min = Math.min(min, this.timeToDepth(i, x, timeTop));
+            max = Math.max(max, this.timeToDepth(i, x, timeBottom));
+        }));
+
+        return { min, max };
+    }
+
+    _weightsAt(inlineIndex, crosslineIndex) {
+        throw new Error('Subclass must implement _weightsAt()');
+    }
+}
+
+// Per-well checkshot tables, blended between wells by inverse distance
+export class CheckshotVelocityModel extends VelocityModel {
+    constructor(wells, power = 2) {
+        super();
+        if (wells.length === 0) {
+            throw new Error('Checkshot model needs at least one well');
+        }
+
+        this.wells = wells.map(well => ({
+            name: well.name,
+            inlineIndex: well.inlineIndex,
+            crosslineIndex: well.crosslineIndex,
+            fn: new TimeDepthFunction(well.pairs)
+        }));
+        this.power = power;
+    }
+
+    _weightsAt(inlineIndex, crosslineIndex) {
+        const weights = [];
+        let total = 0;
+
+        for (const well of this.wells) {
+            const distance = Math.hypot(well.inlineIndex - inlineIndex, well.crosslineIndex - crosslineIndex);
+            if (distance < 1e-6) {
+                return [{ fn: well.fn, weight: 1 }];
+            }
+
+            const weight = 1 / Math.pow(distance, this.power);
+            weights.push({ fn: well.fn, weight });
+            total += weight;
+        }
+
+        weights.forEach(w => { w.weight /= total; });
+        return weights;
+    }
+}
+
+// Velocity functions on a regular inline/crossline lattice, interpolated bilinearly
+export class GridVelocityModel extends VelocityModel {
+    constructor({ inlineIndices, crosslineIndices, times, velocities, velocityType }) {
+        super();
+        if (velocities.length !== inlineIndices.length * crosslineIndices.length) {
+            throw new Error(
+                `Velocity grid has ${velocities.length} nodes, expected ` +
+                `${inlineIndices.length} x ${crosslineIndices.length}`
+            );
+        }
+
+        this.inlineIndices = inlineIndices;
+        this.crosslineIndices = crosslineIndices;
+        this.functions = velocities.map(v => TimeDepthFunction.fromVelocities(times, v, velocityType));
+    }
+
+    _weightsAt(inlineIndex, crosslineIndex) {
+        const [i0, i1, ti] = GridVelocityModel._bracket(this.inlineIndices, inlineIndex);
+        const [x0, x1, tx] = GridVelocityModel._bracket(this.crosslineIndices, crosslineIndex);
+        const columns = this.crosslineIndices.length;
+        const node = (i, x) => this.functions[i * columns + x];
+
+        return [
+            { fn: node(i0, x0), weight: (1 - ti) * (1 - tx) },
+            { fn: node(i0, x1), weight: (1 - ti) * tx },
+            { fn: node(i1, x0), weight: ti * (1 - tx) },
+            { fn: node(i1, x1), weight: ti * tx }
+        ].filter(w => w.weight > 0);
+    }
+
+    // Surrounding node indices and the fraction between them, clamped to the grid
+    static _bracket(nodes, value) {
+        const last = nodes.length - 1;
+        if (last === 0 || value <= nodes[0]) return [0, 0, 0];
+        if (value >= nodes[last]) return [last, last, 0];
+
+        let i = 0;
+        while (nodes[i + 1] < value) i++;
+        return [i, i + 1, (value - nodes[i]) / (nodes[i + 1] - nodes[i])];
+    }
+}
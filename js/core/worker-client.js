@@ -0,0 +1,54 @@
+// Request/response over a module worker. Each request carries an id the worker echoes back
+// with either its results or { error }; the worker is only started on the first request.
+export class WorkerClient {
+    constructor(url) {
+        this.url = url;
+        this.worker = null;
+        this.pending = new Map();
+        this.nextRequestId = 1;
+    }
+
+    request(message, transfer = []) {
+        if (!this.worker) {
+            this._start();
+        }
+
+        const id = this.nextRequestId++;
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject });
+            this.worker.postMessage({ id, ...message }, transfer);
+        });
+    }
+
+    _start() {
+        this.worker = new Worker(this.url, { type: 'module' });
+
+        this.worker.onmessage = (event) => {
+            const { id, error } = event.data;
+            const pending = this.pending.get(id);
+            if (!pending) return;
+
+            this.pending.delete(id);
+            if (error) {
+                pending.reject(new Error(error));
+            } else {
+                pending.resolve(event.data);
+            }
+        };
+
+        // A worker that fails to load or throws outside a request fails everything in flight
+        this.worker.onerror = (event) => {
+            event.preventDefault();
+            this.pending.forEach(({ reject }) => reject(new Error(event.message || 'Worker failed')));
+            this.pending.clear();
+        };
+    }
+
+    dispose() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.pending.clear();
+    }
+}
@@ -1,5 +1,198 @@
 import { AbstractDataLoader, DataLoaderFactory, loadingStateManager } from './data-loader-factory.js';
 import { HorizonManager, FaultLoader, WellLoader, WellLogLoader } from '../components/index.js'
+import { SeismicConfig } from '../config/seismic.config.js';
+import { SurveyConfig } from '../config/survey.config.js';
+import { FaultFileConfig } from '../config/fault-file.config.js';
+import { SeismicVolume } from './seismic-volume.js';
+import { CoordinateSystem } from '../core/coordinate-system.js';
+import { CheckshotVelocityModel, GridVelocityModel } from '../core/velocity-model.js';
+
+export class SurveyDataLoader extends AbstractDataLoader {
+    constructor(sceneManager, dataSourceManager) {
+        super(sceneManager, dataSourceManager);
+        this.definition = null;
+    }
+
+    get typeName() {
+        return 'Survey';
+    }
+
+    async _fetchData(options) {
+        const { surveyPath = null } = options;
+
+        if (!surveyPath) {
+            return null;
+        }
+
+        const response = await fetch(surveyPath);
+        if (!response.ok) {
+            console.warn(`Survey definition not available (${response.status}), using defaults`);
+            return null;
+        }
+
+        return await response.json();
+    }
+
+    async _processData(definition, options) {
+        this.definition = definition;
+        return definition;
+    }
+
+    async _finalize(definition, options) {
+        if (definition) {
+            SurveyConfig.apply(definition);
+            console.log(
+                `Survey "${SurveyConfig.name}": inlines ${SeismicConfig.firstInline}-${SeismicConfig.lastInline}, ` +
+                `crosslines ${SeismicConfig.firstCrossline}-${SeismicConfig.lastCrossline}`
+            );
+        }
+    }
+
+    getDefinition() {
+        return this.definition;
+    }
+}
+
+export class SeismicDataLoader extends AbstractDataLoader {
+    constructor(sceneManager, dataSourceManager) {
+        super(sceneManager, dataSourceManager);
+        this.volume = null;
+    }
+
+    get typeName() {
+        return 'Seismic';
+    }
+
+    async _fetchData(options) {
+        const { segyPath = null, inlineByte, crosslineByte } = options;
+
+        if (!segyPath) {
+            return { source: 'images' };
+        }
+
+        try {
+            const volume = await SeismicVolume.load(segyPath, { inlineByte, crosslineByte });
+            return { source: 'segy', volume };
+        } catch (error) {
+            console.warn(`SEG-Y not available, falling back to images: ${error.message}`);
+            return { source: 'images' };
+        }
+    }
+
+    async _processData(fetchResult, options) {
+        const { source, volume } = fetchResult;
+
+        if (source === 'images') {
+            return null;
+        }
+
+        this.volume = volume;
+        return volume;
+    }
+
+    async _finalize(volume, options) {
+        if (!volume) return;
+
+        const geometry = volume.getGeometry();
+        if (SurveyConfig.isLoaded && (
+            geometry.firstInline !== SeismicConfig.firstInline ||
+            geometry.lastInline !== SeismicConfig.lastInline ||
+            geometry.firstCrossline !== SeismicConfig.firstCrossline ||
+            geometry.lastCrossline !== SeismicConfig.lastCrossline)) {
+            console.warn('SEG-Y line numbering differs from the survey definition, using the SEG-Y headers');
+        }
+
+        SeismicConfig.applyVolumeGeometry(geometry);
+    }
+
+    getVolume() {
+        return this.volume;
+    }
+}
+
+export class VelocityDataLoader extends AbstractDataLoader {
+    constructor(sceneManager, dataSourceManager) {
+        super(sceneManager, dataSourceManager);
+        this.model = null;
+    }
+
+    get typeName() {
+        return 'Velocity Model';
+    }
+
+    async _fetchData(options) {
+        const { velocityPath = null } = options;
+
+        if (!velocityPath) {
+            return null;
+        }
+
+        const response = await fetch(velocityPath);
+        if (!response.ok) {
+            console.warn(`Velocity model not available (${response.status}), time domain only`);
+            return null;
+        }
+
+        return await response.json();
+    }
+
+    async _processData(definition, options) {
+        if (!definition) {
+            return null;
+        }
+
+        if (definition.type === 'checkshot') {
+            this.model = new CheckshotVelocityModel(this._resolveCheckshotWells(definition, options.wellLoader));
+        } else if (definition.type === 'grid') {
+            this.model = new GridVelocityModel({
+                inlineIndices: definition.inlines.map(il => CoordinateSystem.inlineNumberToIndex(il)),
+                crosslineIndices: definition.crosslines.map(xl => CoordinateSystem.crosslineNumberToIndex(xl)),
+                times: definition.times,
+                velocities: definition.velocities,
+                velocityType: definition.velocityType
+            });
+        } else {
+            throw new Error(`Unknown velocity model type: ${definition.type}`);
+        }
+
+        return this.model;
+    }
+
+    // Checkshot entries without inline/crossline take the location of the named well
+    _resolveCheckshotWells(definition, wellLoader) {
+        const wells = [];
+
+        for (const entry of definition.wells) {
+            const well = entry.inline === undefined ? wellLoader?.getWell(entry.well) : null;
+            const inline = entry.inline ?? well?.inline;
+            const crossline = entry.crossline ?? well?.crossline;
+
+            if (inline === undefined || crossline === undefined) {
+                console.warn(`Checkshot for unknown well ${entry.well} skipped`);
+                continue;
+            }
+
+            wells.push({
+                name: entry.well,
+                inlineIndex: CoordinateSystem.inlineNumberToIndex(inline),
+                crosslineIndex: CoordinateSystem.crosslineNumberToIndex(crossline),
+                pairs: entry.pairs
+            });
+        }
+
+        return wells;
+    }
+
+    async _finalize(model, options) {
+        if (model) {
+            CoordinateSystem.setVelocityModel(model);
+        }
+    }
+
+    getModel() {
+        return this.model;
+    }
+}
 
 export class HorizonDataLoader extends AbstractDataLoader {
     constructor(sceneManager, dataSourceManager) {
@@ -12,18 +205,18 @@ export class HorizonDataLoader extends AbstractDataLoader {
     }
 
     async _fetchData(options) {
-        const { csvPath = '/horizon.csv', zColumns = ['top', 'bottom'] } = options;
+        const { csvPath = '/horizon.csv', zColumns = ['top', 'bottom'], gridFiles = [] } = options;
 
         try {
             const data = await this.dataSourceManager.fetch('horizons', {});
-            return { source: 'database', data, zColumns };
+            return { source: 'database', data, zColumns, gridFiles };
         } catch (error) {
-            return { source: 'csv', csvPath, zColumns };
+            return { source: 'csv', csvPath, zColumns, gridFiles };
         }
     }
 
     async _processData(fetchResult, options) {
-        const { source, csvPath, zColumns, data } = fetchResult;
+        const { source, csvPath, zColumns, gridFiles, data } = fetchResult;
 
         if (source === 'database') {
             // Process database response
@@ -41,6 +234,16 @@ export class HorizonDataLoader extends AbstractDataLoader {
             }
         }
 
+        // Grids exported from other software (ZMAP+, EarthVision, XYZ)
+        for (const { path, ...gridOptions } of gridFiles) {
+            try {
+                await this.horizonManager.addHorizonFile(path, gridOptions);
+                this._updateState('loading', 90, `Loaded horizon grid: ${path}`);
+            } catch (error) {
+                console.warn(`Failed to load horizon grid ${path}:`, error);
+            }
+        }
+
         return this.horizonManager;
     }
 
@@ -59,44 +262,72 @@ export class FaultDataLoader extends AbstractDataLoader {
         return 'Faults';
     }
 
+    // Fault files come from the database's faults endpoint, else the manifest file, else the
+    // faultFiles list; all three end up as { path, type?, name?, color? } entries
     async _fetchData(options) {
-        const { faultFiles = [], as3D = true } = options;
+        const { faultFiles = [], manifestPath = null, as3D = true } = options;
 
         try {
             const data = await this.dataSourceManager.fetch('faults', {});
-            return { source: 'database', data, as3D };
+            return { source: 'database', entries: FaultDataLoader._entries(data, ''), as3D };
         } catch (error) {
-            return { source: 'csv', faultFiles, as3D };
+            console.warn('Faults not available from database:', error.message);
         }
+
+        if (manifestPath) {
+            try {
+                const response = await fetch(manifestPath);
+                if (response.ok) {
+                    const manifest = await response.json();
+                    return { source: 'manifest', entries: FaultDataLoader._entries(manifest, manifestPath), as3D };
+                }
+                console.warn(`Fault manifest not available (${response.status}), using built-in fault list`);
+            } catch (error) {
+                console.warn('Failed to read fault manifest:', error.message);
+            }
+        }
+
+        return { source: 'csv', entries: faultFiles.map(path => ({ path })), as3D };
+    }
+
+    // Manifest entries as { path, type?, name?, color? }: a list or { faults: [...] } of paths
+    // or objects with path (or file), relative paths resolved against the manifest's folder
+    static _entries(manifest, manifestPath) {
+        const list = Array.isArray(manifest) ? manifest : manifest?.faults;
+        if (!Array.isArray(list)) {
+            throw new Error('Fault manifest must be a list or have a faults list');
+        }
+
+        const folder = manifestPath.slice(0, manifestPath.lastIndexOf('/') + 1);
+        return list
+            .map(entry => (typeof entry === 'string' ? { path: entry } : { ...entry, path: entry.path ?? entry.file }))
+            .filter(entry => entry.path)
+            .map(entry => ({
+                ...entry,
+                path: /^(\/|[a-z]+:)/i.test(entry.path) ? entry.path : folder + entry.path
+            }));
     }
 
     async _processData(fetchResult, options) {
-        const { source, faultFiles, as3D, data } = fetchResult;
+        const { source, entries, as3D } = fetchResult;
+        console.log(`Loading ${entries.length} fault files from ${source}`);
 
-        if (source === 'database') {
-            // Process database response
-            // TODO: Implement when database is ready
-            console.log('Processing fault data from database');
-            return this.faultLoader;
-        }
-
-        if (faultFiles.length > 0) {
-            const totalFiles = faultFiles.length;
-            let loadedCount = 0;
-
-            for (const file of faultFiles) {
-                try {
-                    if (as3D) {
-                        await this.faultLoader.loadFaultSurfaces(file);
-                    } else {
-                        await this.faultLoader.loadFaultLines(file);
-                    }
-                    loadedCount++;
-                    const progress = 20 + (loadedCount / totalFiles * 70);
-                    this._updateState('loading', progress, `Loaded fault ${loadedCount}/${totalFiles}`);
-                } catch (error) {
-                    console.warn(`Failed to load fault: ${file}`, error);
+        const totalFiles = entries.length;
+        let loadedCount = 0;
+
+        for (const { path, type, name, color } of entries) {
+            const fileOptions = { type: type && FaultFileConfig.typeFromText(type), name, color: color ?? null };
+            try {
+                if (as3D) {
+                    await this.faultLoader.loadFaultSurfaces(path, fileOptions);
+                } else {
+                    await this.faultLoader.loadFaultLines(path, fileOptions);
                 }
+                loadedCount++;
+                const progress = 20 + (loadedCount / totalFiles * 70);
+                this._updateState('loading', progress, `Loaded fault ${loadedCount}/${totalFiles}`);
+            } catch (error) {
+                console.warn(`Failed to load fault: ${path}`, error);
             }
         }
 
@@ -196,18 +427,24 @@ export class SeismicDataLoaderFactory extends DataLoaderFactory {
     constructor() {
         super();
 
+        this.registerLoader('survey', SurveyDataLoader);
+        this.registerLoader('seismic', SeismicDataLoader);
         this.registerLoader('horizon', HorizonDataLoader);
         this.registerLoader('fault', FaultDataLoader);
         this.registerLoader('well', WellDataLoader);
         this.registerLoader('wellLog', WellLogDataLoader);
+        this.registerLoader('velocity', VelocityDataLoader);
     }
 
     createAllLoaders(sceneManager) {
         return {
+            survey: this.createLoader('survey', sceneManager),
+            seismic: this.createLoader('seismic', sceneManager),
             horizon: this.createLoader('horizon', sceneManager),
             fault: this.createLoader('fault', sceneManager),
             well: this.createLoader('well', sceneManager),
-            wellLog: this.createLoader('wellLog', sceneManager)
+            wellLog: this.createLoader('wellLog', sceneManager),
+            velocity: this.createLoader('velocity', sceneManager)
         };
     }
 }
@@ -226,16 +463,52 @@ export class DataLoadingOrchestrator {
 
     async loadAll(config = {}) {
         const {
+            surveyConfig = {},
+            seismicConfig = {},
             horizonConfig = {},
             faultConfig = {},
             wellConfig = {},
-            wellLogConfig = {}
+            wellLogConfig = {},
+            velocityConfig = {}
         } = config;
 
+        loadingStateManager.registerTask('survey', 'Survey Definition');
+        loadingStateManager.registerTask('seismic', 'Seismic Volume');
         loadingStateManager.registerTask('horizon', 'Horizons');
         loadingStateManager.registerTask('well', 'Wells');
         loadingStateManager.registerTask('wellLog', 'Well Logs');
         loadingStateManager.registerTask('fault', 'Faults');
+        loadingStateManager.registerTask('velocity', 'Velocity Model');
+
+        // The survey defines line numbering and georeferencing for everything that follows
+        try {
+            loadingStateManager.updateTask('survey', { status: 'loading', progress: 0 });
+            this.results.survey = await this.loaders.survey.load(surveyConfig);
+
+            if (this.results.survey) {
+                loadingStateManager.completeTask('survey', true, 'Loaded');
+            } else {
+                loadingStateManager.skipTask('survey', 'Using defaults');
+            }
+        } catch (error) {
+            console.warn('Survey loading failed:', error);
+            loadingStateManager.skipTask('survey', 'Using defaults');
+        }
+
+        // Seismic goes next: a SEG-Y volume redefines the survey dimensions
+        try {
+            loadingStateManager.updateTask('seismic', { status: 'loading', progress: 0 });
+            this.results.seismic = await this.loaders.seismic.load(seismicConfig);
+
+            if (this.results.seismic) {
+                loadingStateManager.completeTask('seismic', true, 'Loaded');
+            } else {
+                loadingStateManager.skipTask('seismic', 'Using images');
+            }
+        } catch (error) {
+            console.warn('Seismic loading failed:', error);
+            loadingStateManager.skipTask('seismic', 'Using images');
+        }
 
         try {
             loadingStateManager.updateTask('horizon', { status: 'loading', progress: 0 });
@@ -280,11 +553,32 @@ export class DataLoadingOrchestrator {
             loadingStateManager.completeTask('fault', false, 'Failed');
         }
 
+        // Checkshots may refer to wells by name, so the model comes after the wells
+        try {
+            loadingStateManager.updateTask('velocity', { status: 'loading', progress: 0 });
+            this.results.velocity = await this.loaders.velocity.load({
+                ...velocityConfig,
+                wellLoader: this.loaders.well.getLoader()
+            });
+
+            if (this.results.velocity) {
+                loadingStateManager.completeTask('velocity', true, 'Loaded');
+            } else {
+                loadingStateManager.skipTask('velocity', 'Time domain only');
+            }
+        } catch (error) {
+            console.warn('Velocity model loading failed:', error);
+            loadingStateManager.skipTask('velocity', 'Time domain only');
+        }
+
         return {
+            survey: this.loaders.survey.getDefinition(),
+            seismicVolume: this.loaders.seismic.getVolume(),
             horizonManager: this.loaders.horizon.getManager(),
             faultLoader: this.loaders.fault.getLoader(),
             wellLoader: this.loaders.well.getLoader(),
             wellLogLoader: this.loaders.wellLog.getLoader(),
+            velocityModel: this.loaders.velocity.getModel(),
             dataSource: this.factory.getDataSourceManager().getCurrentSourceName()
         };
     }
@@ -0,0 +1,222 @@
+export const SegySampleFormat = {
+    1: { name: 'IBM Float', bytes: 4 },
+    2: { name: 'Int32', bytes: 4 },
+    3: { name: 'Int16', bytes: 2 },
+    5: { name: 'IEEE Float', bytes: 4 },
+    8: { name: 'Int8', bytes: 1 }
+};
+
+const TEXTUAL_HEADER_SIZE = 3200;
+const BINARY_HEADER_SIZE = 400;
+const TRACE_HEADER_SIZE = 240;
+
+const EBCDIC_TO_ASCII = (() => {
+    const table = new Array(256).fill(' ');
+    const ranges = [
+        [0x81, 'abcdefghi'], [0x91, 'jklmnopqr'], [0xA2, 'stuvwxyz'],
+        [0xC1, 'ABCDEFGHI'], [0xD1, 'JKLMNOPQR'], [0xE2, 'STUVWXYZ'],
+        [0xF0, '0123456789'],
+        [0x4B, '.<(+|&'], [0x5A, '!$*);'], [0x60, '-/'],
+        [0x6B, ',%_>?'], [0x7A, ':#@\'="']
+    ];
+
+    ranges.forEach(([start, chars]) => {
+        [...chars].forEach((char, i) => {
+            table[start + i] = char;
+        });
+    });
+
+    return table;
+})();
+
+export class SegyReader {
+    constructor(buffer, options = {}) {
+        this.buffer = buffer;
+        this.view = new DataView(buffer);
+
+        // 1-based byte locations, as written in the SEG-Y standard
+        this.inlineByte = options.inlineByte || 189;
+        this.crosslineByte = options.crosslineByte || 193;
+
+        this.littleEndian = false;
+        this.textualHeader = '';
+        this.binaryHeader = null;
+        this.traceCount = 0;
+        this.dataOffset = TEXTUAL_HEADER_SIZE + BINARY_HEADER_SIZE;
+
+        this._parse();
+    }
+
+    _parse() {
+        if (this.buffer.byteLength < this.dataOffset + TRACE_HEADER_SIZE) {
+            throw new Error('File is too small to be a SEG-Y file');
+        }
+
+        this.textualHeader = this._readTextualHeader();
+        this.littleEndian = this._detectByteOrder();
+        this.binaryHeader = this._readBinaryHeader();
+
+        const { formatCode, extendedHeaderCount } = this.binaryHeader;
+        if (!SegySampleFormat[formatCode]) {
+            throw new Error(`Unsupported SEG-Y sample format code: ${formatCode}`);
+        }
+
+        this.dataOffset += Math.max(0, extendedHeaderCount) * TEXTUAL_HEADER_SIZE;
+
+        if (!this.binaryHeader.samplesPerTrace) {
+            this.binaryHeader.samplesPerTrace = this._readUint16(this.dataOffset + 114);
+        }
+        if (!this.binaryHeader.sampleInterval) {
+            this.binaryHeader.sampleInterval = this._readUint16(this.dataOffset + 116);
+        }
+
+        this.bytesPerSample = SegySampleFormat[formatCode].bytes;
+        this.traceSize = TRACE_HEADER_SIZE + this.binaryHeader.samplesPerTrace * this.bytesPerSample;
+        this.traceCount = Math.floor((this.buffer.byteLength - this.dataOffset) / this.traceSize);
+
+        if (this.traceCount === 0) {
+            throw new Error('SEG-Y file contains no traces');
+        }
+    }
+
+    _readTextualHeader() {
+        const bytes = new Uint8Array(this.buffer, 0, TEXTUAL_HEADER_SIZE);
+
+        // EBCDIC headers start with 'C' (0xC3); ASCII ones with 0x43
+        const isEbcdic = bytes[0] === 0xC3;
+        const chars = Array.from(bytes, byte =>
+            isEbcdic ? EBCDIC_TO_ASCII[byte] : String.fromCharCode(byte)
+        );
+
+        const lines = [];
+        for (let i = 0; i < chars.length; i += 80) {
+            lines.push(chars.slice(i, i + 80).join('').trimEnd());
+        }
+        return lines.join('\n');
+    }
+
+    _detectByteOrder() {
+        const formatOffset = TEXTUAL_HEADER_SIZE + 24;
+        const bigEndian = this.view.getInt16(formatOffset, false);
+        if (SegySampleFormat[bigEndian]) return false;
+
+        const littleEndian = this.view.getInt16(formatOffset, true);
+        return Boolean(SegySampleFormat[littleEndian]);
+    }
+
+    _readBinaryHeader() {
+        const base = TEXTUAL_HEADER_SIZE;
+
+        return {
+            jobId: this._readInt32(base),
+            lineNumber: this._readInt32(base + 4),
+            sampleInterval: this._readUint16(base + 16),
+            samplesPerTrace: this._readUint16(base + 20),
+            formatCode: this._readInt16(base + 24),
+            measurementSystem: this._readInt16(base + 54),
+            revision: this.view.getUint16(base + 300, this.littleEndian) >> 8,
+            fixedLengthTraces: this._readInt16(base + 302),
+            extendedHeaderCount: this._readInt16(base + 304)
+        };
+    }
+
+    readTraceHeader(traceIndex) {
+        const offset = this._traceOffset(traceIndex);
+        const coordinateScalar = this._readInt16(offset + 70);
+
+        return {
+            inline: this._readInt32(offset + this.inlineByte - 1),
+            crossline: this._readInt32(offset + this.crosslineByte - 1),
+            delay: this._readInt16(offset + 108),
+            cdpX: this._applyScalar(this._readInt32(offset + 180), coordinateScalar),
+            cdpY: this._applyScalar(this._readInt32(offset + 184), coordinateScalar)
+        };
+    }
+
+    readTrace(traceIndex, target = null) {
+        const count = this.binaryHeader.samplesPerTrace;
+        const samples = target || new Float32Array(count);
+        const start = this._traceOffset(traceIndex) + TRACE_HEADER_SIZE;
+        const le = this.littleEndian;
+
+        switch (this.binaryHeader.formatCode) {
+            case 1:
+                for (let i = 0; i < count; i++) {
+                    samples[i] = SegyReader.ibmToFloat(this.view.getUint32(start + i * 4, le));
+                }
+                break;
+            case 2:
+                for (let i = 0; i < count; i++) {
+                    samples[i] = this.view.getInt32(start + i * 4, le);
+                }
+                break;
+            case 3:
+                for (let i = 0; i < count; i++) {
+                    samples[i] = this.view.getInt16(start + i * 2, le);
+                }
+                break;
+            case 5:
+                for (let i = 0; i < count; i++) {
+                    samples[i] = this.view.getFloat32(start + i * 4, le);
+                }
+                break;
+            case 8:
+                for (let i = 0; i < count; i++) {
+                    samples[i] = this.view.getInt8(start + i);
+                }
+                break;
+        }
+
+        return samples;
+    }
+
+    readSample(traceIndex, sampleIndex) {
+        const offset = this._traceOffset(traceIndex) + TRACE_HEADER_SIZE + sampleIndex * this.bytesPerSample;
+        const le = this.littleEndian;
+
+        switch (this.binaryHeader.formatCode) {
+            case 1: return SegyReader.ibmToFloat(this.view.getUint32(offset, le));
+            case 2: return this.view.getInt32(offset, le);
+            case 3: return this.view.getInt16(offset, le);
+            case 5: return this.view.getFloat32(offset, le);
+            case 8: return this.view.getInt8(offset);
+            default: return 0;
+        }
+    }
+
+    static ibmToFloat(word) {
+        const mantissa = word & 0x00ffffff;
+        if (mantissa === 0) return 0;
+
+        const sign = word >>> 31 ? -1 : 1;
+        const exponent = (word >>> 24) & 0x7f;
+
+        return sign * (mantissa / 0x1000000) * Math.pow(16, exponent - 64);
+    }
+
+    _traceOffset(traceIndex) {
+        if (traceIndex < 0 || traceIndex >= this.traceCount) {
+            throw new Error(`Trace index out of range: ${traceIndex}`);
+        }
+        return this.dataOffset + traceIndex * this.traceSize;
+    }
+
+    _applyScalar(value, scalar) {
+        if (scalar > 0) return value * scalar;
+        if (scalar < 0) return value / -scalar;
+        return value;
+    }
+
+    _readInt16(offset) {
+        return this.view.getInt16(offset, this.littleEndian);
+    }
+
+    // Sample counts and intervals are unsigned, so traces of over 32767 samples still read right
+    _readUint16(offset) {
+        return this.view.getUint16(offset, this.littleEndian);
+    }
+
+    _readInt32(offset) {
+        return this.view.getInt32(offset, this.littleEndian);
+    }
+}
@@ -0,0 +1,201 @@
+import { SegyReader } from './segy-reader.js';
+
+export class SeismicVolume {
+    constructor(reader) {
+        this.reader = reader;
+
+        this.inlineAxis = null;
+        this.crosslineAxis = null;
+        this.traceGrid = null;
+
+        this.sampleCount = reader.binaryHeader.samplesPerTrace;
+        // SEG-Y stores the sample interval in microseconds
+        this.sampleInterval = reader.binaryHeader.sampleInterval / 1000;
+        this.startTime = 0;
+
+        this._amplitudeSample = null;
+
+        this._buildTraceGrid();
+    }
+
+    static async load(url, options = {}) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`SEG-Y fetch failed: ${response.status} for ${url}`);
+        }
+
+        const buffer = await response.arrayBuffer();
+        return new SeismicVolume(new SegyReader(buffer, options));
+    }
+
+    _buildTraceGrid() {
+        const headers = [];
+        const inlines = new Set();
+        const crosslines = new Set();
+
+        for (let i = 0; i < this.reader.traceCount; i++) {
+            const header = this.reader.readTraceHeader(i);
+            headers.push(header);
+            inlines.add(header.inline);
+            crosslines.add(header.crossline);
+        }
+
+        this.startTime = headers[0].delay;
+
+        this.inlineAxis = this._buildAxis(inlines);
+        this.crosslineAxis = this._buildAxis(crosslines);
+
+        const { count: inlineCount } = this.inlineAxis;
+        const { count: crosslineCount } = this.crosslineAxis;
+
+        this.traceGrid = new Int32Array(inlineCount * crosslineCount).fill(-1);
+
+        headers.forEach((header, traceIndex) => {
+            const il = this._axisIndex(this.inlineAxis, header.inline);
+            const xl = this._axisIndex(this.crosslineAxis, header.crossline);
+            this.traceGrid[il * crosslineCount + xl] = traceIndex;
+        });
+
+        console.log(
+            `SEG-Y indexed: ${this.reader.traceCount} traces, ` +
+            `${inlineCount} inlines x ${crosslineCount} crosslines x ${this.sampleCount} samples`
+        );
+    }
+
+    _buildAxis(values) {
+        const sorted = [...values].sort((a, b) => a - b);
+
+        let increment = Infinity;
+        for (let i = 1; i < sorted.length; i++) {
+            increment = Math.min(increment, sorted[i] - sorted[i - 1]);
+        }
+        if (!isFinite(increment)) increment = 1;
+
+        const first = sorted[0];
+        const last = sorted[sorted.length - 1];
+
+        return {
+            first,
+            last,
+            increment,
+            count: Math.round((last - first) / increment) + 1
+        };
+    }
+
+    _axisIndex(axis, lineNumber) {
+        return Math.round((lineNumber - axis.first) / axis.increment);
+    }
+
+    getGeometry() {
+        return {
+            inlineCount: this.inlineAxis.count,
+            crosslineCount: this.crosslineAxis.count,
+            firstInline: this.inlineAxis.first,
+            lastInline: this.inlineAxis.last,
+            inlineIncrement: this.inlineAxis.increment,
+            firstCrossline: this.crosslineAxis.first,
+            lastCrossline: this.crosslineAxis.last,
+            crosslineIncrement: this.crosslineAxis.increment,
+            sampleCount: this.sampleCount,
+            sampleInterval: this.sampleInterval,
+            startTime: this.startTime,
+            timeSize: (this.sampleCount - 1) * this.sampleInterval
+        };
+    }
+
+    getTraceIndex(inlineIndex, crosslineIndex) {
+        if (inlineIndex < 0 || inlineIndex >= this.inlineAxis.count ||
+            crosslineIndex < 0 || crosslineIndex >= this.crosslineAxis.count) {
+            return -1;
+        }
+        return this.traceGrid[inlineIndex * this.crosslineAxis.count + crosslineIndex];
+    }
+
+    getTrace(inlineIndex, crosslineIndex, target = null) {
+        const traceIndex = this.getTraceIndex(inlineIndex, crosslineIndex);
+        if (traceIndex === -1) return null;
+        return this.reader.readTrace(traceIndex, target);
+    }
+
+    getInlineSlice(inlineIndex) {
+        return this._extractSection(this.crosslineAxis.count, (column) =>
+            this.getTraceIndex(inlineIndex, column)
+        );
+    }
+
+    getCrosslineSlice(crosslineIndex) {
+        return this._extractSection(this.inlineAxis.count, (column) =>
+            this.getTraceIndex(column, crosslineIndex)
+        );
+    }
+
+    // Rows run along crosslines, columns along inlines
+    getTimeSlice(sampleIndex) {
+        const width = this.inlineAxis.count;
+        const height = this.crosslineAxis.count;
+        const data = new Float32Array(width * height);
+
+        if (sampleIndex < 0 || sampleIndex >= this.sampleCount) {
+            return { data, width, height };
+        }
+
+        for (let row = 0; row < height; row++) {
+            for (let column = 0; column < width; column++) {
+                const traceIndex = this.getTraceIndex(column, row);
+                if (traceIndex !== -1) {
+                    data[row * width + column] = this.reader.readSample(traceIndex, sampleIndex);
+                }
+            }
+        }
+
+        return { data, width, height };
+    }
+
+    // Sections are row-major with one row per time sample, top sample first
+    _extractSection(width, traceIndexForColumn) {
+        const height = this.sampleCount;
+        const data = new Float32Array(width * height);
+        const trace = new Float32Array(height);
+
+        for (let column = 0; column < width; column++) {
+            const traceIndex = traceIndexForColumn(column);
+            if (traceIndex === -1) continue;
+
+            this.reader.readTrace(traceIndex, trace);
+            for (let s = 0; s < height; s++) {
+                data[s * width + column] = trace[s];
+            }
+        }
+
+        return { data, width, height };
+    }
+
+    getAmplitudeRange(percentile = 99) {
+        const sample = this._getAmplitudeSample();
+        if (sample.length === 0) return { min: -1, max: 1, absMax: 1 };
+
+        const pick = (p) => sample[Math.min(sample.length - 1, Math.floor(p / 100 * sample.length))];
+        const min = pick(100 - percentile);
+        const max = pick(percentile);
+
+        return { min, max, absMax: Math.max(Math.abs(min), Math.abs(max)) || 1 };
+    }
+
+    _getAmplitudeSample(maxTraces = 200) {
+        if (this._amplitudeSample) return this._amplitudeSample;
+
+        const step = Math.max(1, Math.floor(this.reader.traceCount / maxTraces));
+        const values = [];
+        const trace = new Float32Array(this.sampleCount);
+
+        for (let i = 0; i < this.reader.traceCount; i += step) {
+            this.reader.readTrace(i, trace);
+            trace.forEach(value => {
+                if (isFinite(value)) values.push(value);
+            });
+        }
+
+        this._amplitudeSample = Float32Array.from(values).sort();
+        return this._amplitudeSample;
+    }
+}
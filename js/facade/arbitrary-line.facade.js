@@ -0,0 +1,119 @@
+import { ArbitraryLine } from '../components/arbitrary-line.js';
+import { ArbitraryLineConfig } from '../config/seismic.config.js';
+import { CoordinateSystem } from '../core/coordinate-system.js';
+
+export class ArbitraryLineFacade {
+    constructor(sceneManager, seismicPlaneFacade) {
+        this.sceneManager = sceneManager;
+        this.volume = seismicPlaneFacade.seismicVolume;
+        this.display = seismicPlaneFacade.getDisplay();
+        this.lines = new Map();
+        this._nextId = 1;
+        this.onChange = null;
+    }
+
+    isAvailable() {
+        return this.volume !== null;
+    }
+
+    createLine(name, points) {
+        if (!this.isAvailable()) {
+            throw new Error('Arbitrary lines need a SEG-Y volume to sample traces from');
+        }
+
+        const line = new ArbitraryLine(this.sceneManager, this.volume, this.display, name, points);
+        const id = this._nextId++;
+        this.lines.set(id, line);
+
+        this._save();
+        this._notify();
+        return id;
+    }
+
+    createLineFromWells(name, wells) {
+        const points = wells.filter(Boolean).map(well => ({
+            inline: CoordinateSystem.inlineNumberToIndex(well.inline),
+            crossline: CoordinateSystem.crosslineNumberToIndex(well.crossline)
+        }));
+
+        if (points.length < 2) {
+            throw new Error('Select at least two known wells');
+        }
+
+        return this.createLine(name, points);
+    }
+
+    removeLine(id) {
+        const line = this.lines.get(id);
+        if (!line) return;
+
+        line.dispose();
+        this.lines.delete(id);
+        this._save();
+        this._notify();
+    }
+
+    setLineVisible(id, visible) {
+        const line = this.lines.get(id);
+        if (line) {
+            line.setVisible(visible);
+            this._notify();
+        }
+    }
+
+    getLines() {
+        return [...this.lines.entries()].map(([id, line]) => ({
+            id,
+            name: line.name,
+            points: line.points,
+            visible: line.visible
+        }));
+    }
+
+    getNextName() {
+        return `Line ${this._nextId}`;
+    }
+
+    restoreSaved() {
+        if (!this.isAvailable()) return;
+
+        let saved = [];
+        try {
+            saved = JSON.parse(localStorage.getItem(ArbitraryLineConfig.storageKey) || '[]');
+        } catch (error) {
+            console.warn('Ignoring unreadable saved arbitrary lines:', error);
+        }
+
+        saved.forEach(({ name, points }) => {
+            try {
+                this.createLine(name, points);
+            } catch (error) {
+                console.warn(`Failed to restore arbitrary line ${name}:`, error);
+            }
+        });
+    }
+
+    _save() {
+        const lines = [...this.lines.values()].map(line => line.toJSON());
+        try {
+            localStorage.setItem(ArbitraryLineConfig.storageKey, JSON.stringify(lines));
+        } catch (error) {
+            console.warn('Failed to save arbitrary lines:', error);
+        }
+    }
+
+    _notify() {
+        if (this.onChange) {
+            this.onChange(this.getLines());
+        }
+    }
+
+    updatePositions() {
+        this.lines.forEach(line => line.updatePositions());
+    }
+
+    dispose() {
+        this.lines.forEach(line => line.dispose());
+        this.lines.clear();
+    }
+}
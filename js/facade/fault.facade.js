@@ -43,8 +43,9 @@ export class FaultFacade {
       this.setVisible(false);
     }
 
+    // The loader's flag, since isolating a fault from the Faults panel shows faults again
     toggle() {
-        this.setVisible(!this.isVisible);
+        this.setVisible(!this.faultLoader.visible);
         return this.isVisible;
     }
 
@@ -58,7 +59,7 @@ export class FaultFacade {
     }
 
     getVisible() {
-      return this.isVisible;
+      return this.faultLoader.visible;
     }
 
     hasLoaded() {
@@ -69,6 +70,10 @@ export class FaultFacade {
       return this.faultLoader;
     }
 
+    updatePositions() {
+        this.faultLoader.updatePositions();
+    }
+
     dispose() {
       this.faultLoader.dispose();
       this.isLoaded = false;
@@ -0,0 +1,127 @@
+import { HorizonTracker } from '../components/horizon-tracker.js';
+import { PickingConfig } from '../config/seismic.config.js';
+
+const PickableOrientations = ['inline', 'crossline'];
+
+// Interpreting horizons on the inline/crossline planes. Clicks on a plane pick, autotrack or erase
+// on the active interpretation, a Horizon in the HorizonManager rebuilt from its picks.
+export class HorizonPickingFacade {
+    constructor(sceneManager, seismicVolume, horizonManager) {
+        this.sceneManager = sceneManager;
+        this.horizonManager = horizonManager;
+        this.tracker = seismicVolume ? new HorizonTracker(seismicVolume) : null;
+
+        this.active = null;
+        this.mode = 'off';  // 'off' | 'pick' | 'track' | 'erase'
+        this.event = PickingConfig.event;
+        this.scope = 'section';
+        this._nextNumber = 1;
+        this.onChange = null;
+
+        this.sceneManager.addClickListener(() => this._handleClick());
+    }
+
+    // Snapping and autotracking read amplitudes, so they need a SEG-Y volume
+    isTrackingAvailable() {
+        return this.tracker !== null;
+    }
+
+    createInterpretation(name = `Interpretation ${this._nextNumber++}`) {
+        this.active = this.horizonManager.addInterpretation(name);
+        this._notify();
+        return this.active;
+    }
+
+    getInterpretations() {
+        return this.horizonManager.getAll().filter(h => h.picks);
+    }
+
+    setActive(id) {
+        const horizon = this.horizonManager.getHorizon(id);
+        this.active = horizon && horizon.picks ? horizon : null;
+        this._notify();
+    }
+
+    getActive() {
+        // Interpretations can be removed from the horizon panel while active
+        if (this.active && !this.horizonManager.getAll().includes(this.active)) {
+            this.active = null;
+        }
+        return this.active;
+    }
+
+    setMode(mode) {
+        this.mode = mode;
+        this.sceneManager.renderer.domElement.style.cursor = mode === 'off' ? '' : 'crosshair';
+    }
+
+    setEvent(event) {
+        this.event = event;
+    }
+
+    setScope(scope) {
+        this.scope = scope;
+    }
+
+    // polygon of { inline, crossline } grid indices, e.g. drawn on the MapView
+    eraseInPolygon(polygon) {
+        const horizon = this.getActive();
+        if (!horizon || polygon.length < 3) return 0;
+
+        const removed = horizon.picks.removeInPolygon(polygon);
+        this._apply();
+        return removed;
+    }
+
+    _handleClick() {
+        const horizon = this.getActive();
+        if (this.mode === 'off' || !horizon) return;
+
+        const hit = this.sceneManager.pick(
+            data => data.type === 'seismicPlane' && PickableOrientations.includes(data.orientation)
+        );
+        if (!hit) return;
+
+        const { inlineIndex, crosslineIndex, time } = hit.survey;
+        const il = Math.round(inlineIndex);
+        const xl = Math.round(crosslineIndex);
+
+        try {
+            switch (this.mode) {
+                case 'pick': {
+                    const snapped = this.tracker ? this.tracker.snap(il, xl, time, this.event) : null;
+                    horizon.picks.set(il, xl, snapped ?? time);
+                    break;
+                }
+                case 'track':
+                    if (!this.tracker) {
+                        throw new Error('Autotracking needs a SEG-Y volume');
+                    }
+                    horizon.picks.merge(this.tracker.track(
+                        { inlineIndex: il, crosslineIndex: xl, time },
+                        { event: this.event, scope: this.scope, orientation: hit.object.userData.orientation }
+                    ));
+                    break;
+                case 'erase':
+                    horizon.picks.removeNear(il, xl, PickingConfig.eraseRadius);
+                    break;
+            }
+        } catch (error) {
+            console.warn('Failed to pick horizon:', error.message);
+            return;
+        }
+
+        this._apply();
+    }
+
+    _apply() {
+        this.active.setPoints(this.active.picks.toPoints());
+        this._notify();
+    }
+
+    _notify() {
+        if (this.onChange) {
+            this.onChange(this.active);
+        }
+    }
+}
@@ -11,6 +11,10 @@ export class HorizonFacade {
         return await this.horizonManager.addHorizon(csvPath, zColumn);
     }
 
+    async loadFile(path, options) {
+        return await this.horizonManager.addHorizonFile(path, options);
+    }
+
     async loadMultiple(csvPath, zColumns) {
         const horizons = [];
         for (const zColumn of zColumns) {
@@ -53,6 +57,14 @@ export class HorizonFacade {
       return this.horizonManager;
     }
 
+    setRenderMode(mode) {
+        this.horizonManager.setRenderMode(mode);
+    }
+
+    updatePositions() {
+        this.horizonManager.updatePositions();
+    }
+
     dispose() {
         this.horizonManager.getAll().forEach(h => h.dispose());
     }
@@ -1,5 +1,8 @@
+export * from './arbitrary-line.facade.js'
 export * from './fault.facade.js'
 export * from './horizon.facade.js'
+export * from './horizon-picking.facade.js'
 export * from './scene.facade.js'
+export * from './section-trace.facade.js'
 export * from './seismic-plane.facade.js'
 export * from './well.facade.js'
\ No newline at end of file
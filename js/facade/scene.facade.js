@@ -22,6 +22,10 @@ export class SceneFacade {
         this.sceneManager._updateCameraPosition();
     }
 
+    updateVerticalScale() {
+        this.sceneManager.updateVerticalScale();
+    }
+
     add(object) {
       this.sceneManager.add(object);
     }
@@ -0,0 +1,62 @@
+import { SectionTraces } from '../components/section-traces.js';
+
+const TracedOrientations = ['inline', 'crossline'];
+
+export class SectionTraceFacade {
+    constructor(sceneManager, seismicPlanes, horizonManager, faultLoader) {
+        this.seismicPlanes = seismicPlanes;
+        this.horizonManager = horizonManager;
+        this.faultLoader = faultLoader;
+        this.traces = new SectionTraces(sceneManager);
+        this.tracedIndices = new Map(); // plane id -> index its traces were cut at
+        this.isVisible = true;
+
+        this.seismicPlanes.addListener(() => this._refresh());
+        this.update();
+    }
+
+    // Rebuilds the traces of every visible inline/crossline plane, after horizons or faults change
+    update() {
+        this.tracedIndices.clear();
+        this._refresh();
+    }
+
+    // Traces planes that are new or moved since they were last traced and drops those of hidden or removed planes
+    _refresh() {
+        const planes = this.seismicPlanes.getPlaneList()
+            .filter(plane => TracedOrientations.includes(plane.orientation))
+            .filter(plane => this.isVisible && plane.visible);
+        const ids = new Set(planes.map(plane => plane.id));
+
+        [...this.traces.lines.keys()]
+            .filter(id => !ids.has(id))
+            .forEach(id => this.traces.remove(id));
+        [...this.tracedIndices.keys()]
+            .filter(id => !ids.has(id))
+            .forEach(id => this.tracedIndices.delete(id));
+
+        planes
+            .filter(plane => this.tracedIndices.get(plane.id) !== plane.currentIndex)
+            .forEach(plane => {
+                this.traces.update(plane, this.horizonManager.getAll(), this.faultLoader.faults);
+                this.tracedIndices.set(plane.id, plane.currentIndex);
+            });
+    }
+
+    setVisible(visible) {
+        this.isVisible = visible;
+        this.update();
+    }
+
+    getVisible() {
+        return this.isVisible;
+    }
+
+    updatePositions() {
+        this.update();
+    }
+
+    dispose() {
+        this.traces.dispose();
+    }
+}
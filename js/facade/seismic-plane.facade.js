@@ -1,30 +1,165 @@
-import { InlinePlane, CrosslinePlane } from '../components/seismic-plane.js';
+import { InlinePlane, CrosslinePlane, TimeSlicePlane } from '../components/seismic-plane.js';
+import {
+    AmplitudeTextureSource,
+    CachedTextureSource,
+    ImageTextureSource
+} from '../components/seismic-texture-source.js';
+import { SeismicDisplay } from '../components/seismic-display.js';
+import { TextureCache } from '../core/texture-cache.js';
+import { TextureCacheConfig } from '../config/seismic.config.js';
+
+const PlaneClasses = {
+    inline: InlinePlane,
+    crossline: CrosslinePlane,
+    time: TimeSlicePlane
+};
 
 export class SeismicPlaneFacade {
-    constructor(sceneManager) {
+    constructor(sceneManager, seismicVolume = null) {
         this.sceneManager = sceneManager;
-        this.inlinePlane = new InlinePlane(sceneManager);
-        this.crosslinePlane = new CrosslinePlane(sceneManager);
+        this.seismicVolume = seismicVolume;
+        const source = seismicVolume
+            ? new AmplitudeTextureSource(seismicVolume)
+            : new ImageTextureSource();
+
+        this.textureCache = new TextureCache(TextureCacheConfig.maxBytes);
+        this.textureSource = new CachedTextureSource(
+            source,
+            this.textureCache,
+            TextureCacheConfig.prefetchCount
+        );
+        this.display = new SeismicDisplay(this.textureSource);
+
+        // Planes in the order they were added; the first of each orientation is its primary
+        this.planes = [];
+        this._nextId = 1;
+        this.onChange = null;
+        // Notified of every plane change, including index and visibility
+        this.listeners = [];
+
+        Object.keys(PlaneClasses).forEach(orientation => this.addPlane(orientation));
+    }
+
+    addPlane(orientation, index = 0) {
+        const PlaneClass = PlaneClasses[orientation];
+        if (!PlaneClass) {
+            throw new Error(`Unknown plane orientation: ${orientation}`);
+        }
+
+        const plane = new PlaneClass(
+            this.sceneManager,
+            this.textureSource,
+            this.display,
+            this._clampIndex(orientation, index)
+        );
+        plane.id = this._nextId++;
+        this.planes.push(plane);
+
+        this._notify();
+        return plane.id;
+    }
+
+    removePlane(id) {
+        const plane = this.getPlane(id);
+        if (!plane) return;
+
+        plane.dispose();
+        this.planes = this.planes.filter(p => p !== plane);
+        this._notify();
+    }
+
+    addListener(callback) {
+        this.listeners.push(callback);
+    }
+
+    getPlane(id) {
+        return this.planes.find(plane => plane.id === id) || null;
+    }
+
+    getPlaneList() {
+        return [...this.planes];
+    }
+
+    setPlaneIndex(id, index) {
+        const plane = this.getPlane(id);
+        if (plane) {
+            plane.setIndex(this._clampIndex(plane.orientation, index));
+            this._notifyListeners();
+        }
+    }
+
+    setPlaneOpacity(id, opacity) {
+        const plane = this.getPlane(id);
+        if (plane) {
+            plane.setOpacity(Math.max(0, Math.min(1, opacity)));
+        }
+    }
+
+    setPlaneVisible(id, visible) {
+        const plane = this.getPlane(id);
+        if (plane) {
+            plane.setVisible(visible);
+            this._notifyListeners();
+        }
+    }
+
+    getMaxIndex(orientation) {
+        return PlaneClasses[orientation].getMaxIndex();
     }
 
+    _clampIndex(orientation, index) {
+        return Math.max(0, Math.min(index, this.getMaxIndex(orientation)));
+    }
+
+    _getPrimaryPlane(orientation) {
+        return this.planes.find(plane => plane.orientation === orientation) || null;
+    }
+
+    _setPrimaryIndex(orientation, index) {
+        const plane = this._getPrimaryPlane(orientation);
+        if (plane) {
+            this.setPlaneIndex(plane.id, index);
+        }
+    }
+
+    _notify() {
+        if (this.onChange) {
+            this.onChange(this.getPlaneList());
+        }
+        this._notifyListeners();
+    }
+
+    _notifyListeners() {
+        const planes = this.getPlaneList();
+        this.listeners.forEach(callback => callback(planes));
+    }
 
     setInlineIndex(index) {
-        this.inlinePlane.setIndex(Math.max(0, Math.min(index, InlinePlane.getMaxIndex())));
+        this._setPrimaryIndex('inline', index);
     }
 
     setCrosslineIndex(index) {
-        this.crosslinePlane.setIndex(Math.max(0, Math.min(index, CrosslinePlane.getMaxIndex())));
+        this._setPrimaryIndex('crossline', index);
+    }
+
+    setTimeIndex(index) {
+        this._setPrimaryIndex('time', index);
     }
 
-    setIndices(inlineIndex, crosslineIndex) {
+    setIndices(inlineIndex, crosslineIndex, timeIndex) {
         this.setInlineIndex(inlineIndex);
         this.setCrosslineIndex(crosslineIndex);
+        if (timeIndex !== undefined) {
+            this.setTimeIndex(timeIndex);
+        }
     }
 
     getIndices() {
+        const indexOf = (orientation) => this._getPrimaryPlane(orientation)?.currentIndex ?? null;
         return {
-            inline: this.inlinePlane.currentIndex,
-            crossline: this.crosslinePlane.currentIndex
+            inline: indexOf('inline'),
+            crossline: indexOf('crossline'),
+            time: indexOf('time')
         };
     }
 
@@ -36,19 +171,45 @@ export class SeismicPlaneFacade {
       return CrosslinePlane.getMaxIndex();
     }
 
+    getMaxTimeIndex() {
+      return TimeSlicePlane.getMaxIndex();
+    }
+
+    hasAmplitudeData() {
+      return this.seismicVolume !== null;
+    }
+
+    getTextureSource() {
+      return this.textureSource;
+    }
+
+    getCacheStats() {
+      return this.textureCache.getStats();
+    }
+
+    getDisplay() {
+      return this.display;
+    }
+
+    setDisplaySettings(settings) {
+        this.display.update(settings);
+    }
+
     getPlanes() {
         return {
-          inline: this.inlinePlane, crossline: this.crosslinePlane
+          inline: this._getPrimaryPlane('inline'),
+          crossline: this._getPrimaryPlane('crossline'),
+          time: this._getPrimaryPlane('time')
         };
     }
 
+    updatePositions() {
+        this.planes.forEach(plane => plane.updatePositions());
+    }
+
     dispose() {
-        [this.inlinePlane, this.crosslinePlane].forEach(plane => {
-            if (plane?.plane) {
-                this.sceneManager.remove(plane.plane);
-                plane.plane.geometry.dispose();
-                plane.plane.material.dispose();
-            }
-        });
+        this.planes.forEach(plane => plane.dispose());
+        this.planes = [];
+        this.textureSource.dispose();
     }
 }
@@ -85,6 +85,10 @@ export class WellFacade {
       return this.wellLogLoader;
     }
 
+    updatePositions() {
+        this.wellLoader.updatePositions();
+    }
+
     dispose() {
       this.wellLoader.dispose();
     }
@@ -0,0 +1,191 @@
+import { SeismicConfig } from '../config/seismic.config.js';
+import { SurveyConfig } from '../config/survey.config.js';
+import { CoordinateSystem } from '../core/coordinate-system.js';
+
+// Plan view of the survey in inline/crossline index space
+export class MapView {
+    constructor(containerId) {
+        this.container = document.getElementById(containerId);
+        this.canvas = null;
+        this.context = null;
+        this.status = null;
+        this.padding = 12;
+
+        this.layers = new Map();
+        this.drawing = null;
+
+        if (this.container) {
+            this._init();
+        }
+    }
+
+    _init() {
+        this.canvas = this.container.querySelector('canvas');
+        this.status = this.container.querySelector('.map-status');
+        this.context = this.canvas.getContext('2d');
+
+        const title = this.container.querySelector('.map-title');
+        if (title) {
+            title.textContent = SurveyConfig.crs
+                ? `${SurveyConfig.name} (${SurveyConfig.crs})`
+                : SurveyConfig.name;
+        }
+
+        this.canvas.addEventListener('click', (e) => this._handleClick(e));
+        this.canvas.addEventListener('dblclick', (e) => this._handleDoubleClick(e));
+        this.canvas.addEventListener('mousemove', (e) => this._handleMouseMove(e));
+
+        window.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.drawing) {
+                this.cancelPolyline();
+            }
+        });
+
+        this.render();
+    }
+
+    addLayer(name, draw) {
+        this.layers.set(name, draw);
+        this.render();
+    }
+
+    removeLayer(name) {
+        this.layers.delete(name);
+        this.render();
+    }
+
+    toCanvas(inlineIndex, crosslineIndex) {
+        const size = this.canvas.width - this.padding * 2;
+        return {
+            x: this.padding + (inlineIndex / SeismicConfig.maxInlineIndex) * size,
+            y: this.padding + (1 - crosslineIndex / SeismicConfig.maxCrosslineIndex) * size
+        };
+    }
+
+    toSurvey(canvasX, canvasY) {
+        const size = this.canvas.width - this.padding * 2;
+        const clamp = (value) => Math.max(0, Math.min(1, value));
+
+        return {
+            inline: clamp((canvasX - this.padding) / size) * SeismicConfig.maxInlineIndex,
+            crossline: clamp(1 - (canvasY - this.padding) / size) * SeismicConfig.maxCrosslineIndex
+        };
+    }
+
+    render() {
+        if (!this.context) return;
+
+        const ctx = this.context;
+        ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+
+        const corner = this.toCanvas(0, SeismicConfig.maxCrosslineIndex);
+        const size = this.canvas.width - this.padding * 2;
+        ctx.strokeStyle = '#888';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(corner.x, corner.y, size, size);
+
+        this.layers.forEach(draw => {
+            ctx.save();
+            draw(ctx, (il, xl) => this.toCanvas(il, xl));
+            ctx.restore();
+        });
+
+        if (this.drawing) {
+            this._drawPendingPolyline();
+        }
+    }
+
+    drawPolyline(ctx, points, color) {
+        if (points.length === 0) return;
+
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        points.forEach((point, i) => {
+            const p = this.toCanvas(point.inline, point.crossline);
+            if (i === 0) ctx.moveTo(p.x, p.y);
+            else ctx.lineTo(p.x, p.y);
+        });
+        ctx.stroke();
+    }
+
+    _drawPendingPolyline() {
+        const { points, cursor } = this.drawing;
+        const color = '#ffcc00';
+
+        this.drawPolyline(this.context, cursor ? [...points, cursor] : points, color);
+
+        this.context.fillStyle = color;
+        points.forEach(point => {
+            const p = this.toCanvas(point.inline, point.crossline);
+            this.context.fillRect(p.x - 2, p.y - 2, 4, 4);
+        });
+    }
+
+    startPolyline(onComplete) {
+        this.drawing = { points: [], cursor: null, onComplete };
+        this.container.classList.add('drawing');
+        this._setStatus('Click to add points, double-click to finish, Esc to cancel');
+    }
+
+    cancelPolyline() {
+        this.drawing = null;
+        this.container.classList.remove('drawing');
+        this._setStatus('');
+        this.render();
+    }
+
+    _finishPolyline() {
+        const { points, onComplete } = this.drawing;
+        this.cancelPolyline();
+
+        if (points.length >= 2 && onComplete) {
+            onComplete(points);
+        }
+    }
+
+    _eventToSurvey(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        const scaleX = this.canvas.width / rect.width;
+        const scaleY = this.canvas.height / rect.height;
+        return this.toSurvey((e.clientX - rect.left) * scaleX, (e.clientY - rect.top) * scaleY);
+    }
+
+    _handleClick(e) {
+        if (!this.drawing) return;
+        this.drawing.points.push(this._eventToSurvey(e));
+        this.render();
+    }
+
+    _handleDoubleClick(e) {
+        if (!this.drawing) return;
+        // The double-click's second click already added a duplicate vertex
+        this.drawing.points.pop();
+        this._finishPolyline();
+    }
+
+    _handleMouseMove(e) {
+        const point = this._eventToSurvey(e);
+
+        if (this.drawing) {
+            this.drawing.cursor = point;
+            this.render();
+        } else {
+            const inline = Math.round(point.inline);
+            const crossline = Math.round(point.crossline);
+            const { x, y } = CoordinateSystem.indexToProjected(inline, crossline);
+
+            this._setStatus(
+                `IL ${CoordinateSystem.indexToInlineNumber(inline)}  ` +
+                `XL ${CoordinateSystem.indexToCrosslineNumber(crossline)}  ` +
+                `X ${x.toFixed(1)}  Y ${y.toFixed(1)}`
+            );
+        }
+    }
+
+    _setStatus(text) {
+        if (this.status) {
+            this.status.textContent = text;
+        }
+    }
+}
@@ -0,0 +1,167 @@
+import { FaultThrowConfig } from '../config/seismic.config.js';
+import { FaultThrowAnalysis } from '../components/fault-throw.js';
+
+// Throw (left axis) and heave (right axis) against distance along strike for one
+// FaultThrowAnalysis. Stations without both cutoffs leave gaps in the lines.
+export class ThrowProfileChart {
+    constructor(canvasId) {
+        this.canvas = document.getElementById(canvasId);
+        this.context = this.canvas ? this.canvas.getContext('2d') : null;
+        this.padding = { left: 34, right: 34, top: 14, bottom: 16 };
+        this.analysis = null;
+        this.hovered = -1;
+
+        if (this.canvas) {
+            this.canvas.addEventListener('mousemove', (e) => this._handleMouseMove(e));
+            this.canvas.addEventListener('mouseleave', () => {
+                this.hovered = -1;
+                this.render();
+            });
+        }
+    }
+
+    setAnalysis(analysis) {
+        this.analysis = analysis;
+        this.hovered = -1;
+        this.render();
+    }
+
+    render() {
+        if (!this.context) return;
+
+        const ctx = this.context;
+        const { width, height } = this.canvas;
+        ctx.clearRect(0, 0, width, height);
+        this.canvas.hidden = !this.analysis;
+        if (!this.analysis) return;
+
+        const { stations } = this.analysis;
+        const plot = this._plotArea();
+        ctx.strokeStyle = '#666';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(plot.left, plot.top, plot.width, plot.height);
+
+        const length = stations.length > 0 ? stations[stations.length - 1].distance : 0;
+        const toX = (distance) => plot.left + (length > 0 ? distance / length : 0.5) * plot.width;
+
+        const throwRange = this._range('throw');
+        const heaveRange = this._range('heave');
+
+        if (throwRange.min < 0 && throwRange.max > 0) {
+            const y = this._toY(0, throwRange, plot);
+            ctx.strokeStyle = '#444';
+            ctx.setLineDash([2, 3]);
+            ctx.beginPath();
+            ctx.moveTo(plot.left, y);
+            ctx.lineTo(plot.left + plot.width, y);
+            ctx.stroke();
+        }
+
+        this._drawSeries(stations, 'heave', FaultThrowConfig.heaveLineColor, [4, 3], toX, heaveRange, plot);
+        this._drawSeries(stations, 'throw', FaultThrowConfig.throwLineColor, [], toX, throwRange, plot);
+
+        ctx.font = '10px sans-serif';
+        ctx.textBaseline = 'middle';
+        ctx.fillStyle = FaultThrowConfig.throwLineColor;
+        ctx.textAlign = 'right';
+        ctx.fillText(this._format(throwRange.max), plot.left - 3, plot.top);
+        ctx.fillText(this._format(throwRange.min), plot.left - 3, plot.top + plot.height);
+        ctx.fillStyle = FaultThrowConfig.heaveLineColor;
+        ctx.textAlign = 'left';
+        ctx.fillText(this._format(heaveRange.max), plot.left + plot.width + 3, plot.top);
+        ctx.fillText(this._format(heaveRange.min), plot.left + plot.width + 3, plot.top + plot.height);
+
+        ctx.fillStyle = '#aaa';
+        ctx.textBaseline = 'top';
+        ctx.textAlign = 'left';
+        ctx.fillText('0', plot.left, plot.top + plot.height + 3);
+        ctx.textAlign = 'right';
+        ctx.fillText(`${this._format(length)} m along strike`, plot.left + plot.width, plot.top + plot.height + 3);
+
+        ctx.textBaseline = 'bottom';
+        ctx.textAlign = 'left';
+        if (this.hovered >= 0) {
+            const station = stations[this.hovered];
+            const x = toX(station.distance);
+            ctx.strokeStyle = '#fff';
+            ctx.setLineDash([]);
+            ctx.beginPath();
+            ctx.moveTo(x, plot.top);
+            ctx.lineTo(x, plot.top + plot.height);
+            ctx.stroke();
+            ctx.fillText(
+                `${this._format(station.distance)} m: throw ${this._format(station.throw)} ms, heave ${this._format(station.heave)} m`,
+                plot.left, plot.top - 1
+            );
+        } else {
+            ctx.fillText(`Throw (ms) / heave (m), ${this.analysis.horizonName}`, plot.left, plot.top - 1);
+        }
+    }
+
+    _drawSeries(stations, attribute, color, dash, toX, range, plot) {
+        const ctx = this.context;
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 1.5;
+        ctx.setLineDash(dash);
+        ctx.beginPath();
+
+        let drawing = false;
+        stations.forEach(station => {
+            const value = station[attribute];
+            if (!Number.isFinite(value)) {
+                drawing = false;
+                return;
+            }
+
+            const x = toX(station.distance);
+            const y = this._toY(value, range, plot);
+            if (drawing) ctx.lineTo(x, y);
+            else ctx.moveTo(x, y);
+            drawing = true;
+        });
+
+        ctx.stroke();
+        ctx.setLineDash([]);
+    }
+
+    _plotArea() {
+        const { left, right, top, bottom } = this.padding;
+        return { left, top, width: this.canvas.width - left - right, height: this.canvas.height - top - bottom };
+    }
+
+    // Statistics range, widened when flat or empty so the line has somewhere to go
+    _range(attribute) {
+        const { min, max, count } = FaultThrowAnalysis.getStatistics(this.analysis, attribute);
+        if (count === 0) return { min: 0, max: 1 };
+        if (max === min) return { min: min - 1, max: max + 1 };
+        return { min, max };
+    }
+
+    _toY(value, range, plot) {
+        return plot.top + (1 - (value - range.min) / (range.max - range.min)) * plot.height;
+    }
+
+    _format(value) {
+        return Number.isFinite(value) ? value.toFixed(Math.abs(value) < 10 ? 1 : 0) : '–';
+    }
+
+    _handleMouseMove(e) {
+        if (!this.analysis || this.analysis.stations.length === 0) return;
+
+        const rect = this.canvas.getBoundingClientRect();
+        const plot = this._plotArea();
+        const { stations } = this.analysis;
+        const length = stations[stations.length - 1].distance;
+        const distance = ((e.clientX - rect.left) * (this.canvas.width / rect.width) - plot.left) / plot.width * length;
+
+        let nearest = 0;
+        stations.forEach((station, i) => {
+            if (Math.abs(station.distance - distance) < Math.abs(stations[nearest].distance - distance)) nearest = i;
+        });
+
+        if (nearest !== this.hovered) {
+            this.hovered = nearest;
+            this.render();
+        }
+    }
+}
@@ -1,9 +1,29 @@
-import { SeismicConfig } from '../config/seismic.config.js';
+import {
+    ArbitraryLineConfig,
+    FaultThrowConfig,
+    GriddingConfig,
+    HorizonConfig,
+    HorizonFilterConfig,
+    PickingConfig,
+    StyleConfig,
+    VerticalExaggerationConfig
+} from '../config/seismic.config.js';
+import { FaultFileConfig } from '../config/fault-file.config.js';
+import { CoordinateSystem } from '../core/coordinate-system.js';
+import { Colormap } from '../core/colormap.js';
+import { FaultThrowAnalysis } from '../components/fault-throw.js';
+import { HorizonAttributes } from '../components/horizon-attributes.js';
+import { HorizonGridding } from '../components/horizon-gridding.js';
+import { HorizonPicks } from '../components/horizon-picks.js';
+import { Isochron } from '../components/isochron.js';
+import { MapView } from './map-view.js';
+import { ThrowProfileChart } from './throw-profile-chart.js';
 export class SliderControl {
-    constructor(sliderId, labelId, maxValue, onChange) {
+    constructor(sliderId, labelId, maxValue, onChange, formatLabel = (value) => value.toString()) {
         this.slider = document.getElementById(sliderId);
         this.label = document.getElementById(labelId);
         this.onChange = onChange;
+        this.formatLabel = formatLabel;
 
         if (this.slider) {
             this._init(maxValue);
@@ -13,6 +33,7 @@ export class SliderControl {
     _init(maxValue) {
         this.slider.max = maxValue;
         this.slider.value = 0;
+        this._updateLabel(0);
 
         this.slider.addEventListener('input', () => {
             const value = parseInt(this.slider.value);
@@ -26,7 +47,7 @@ export class SliderControl {
 
     _updateLabel(value) {
         if (this.label) {
-            this.label.textContent = value.toString();
+            this.label.textContent = this.formatLabel(value);
         }
     }
 
@@ -69,11 +90,302 @@ export class ToggleButton {
         });
     }
 
+    // For state changed elsewhere; does not call onToggle
+    setActive(active) {
+        this.isActive = active;
+        if (this.button) this._updateText();
+    }
+
     _updateText() {
         this.button.textContent = this.isActive ? this.hideText : this.showText;
     }
 }
 
+// Legend of the loaded fault types with a visibility checkbox each. The "Hide Fault" button
+// still hides every fault; a type shows only while both allow it.
+export class FaultTypePanel {
+    constructor(containerId, faultLoader, onToggle) {
+        this.container = document.getElementById(containerId);
+        this.faultLoader = faultLoader;
+        this.onToggle = onToggle;
+
+        if (this.container) {
+            this.refresh();
+        }
+    }
+
+    refresh() {
+        this.container.innerHTML = '';
+
+        this.faultLoader.getTypes().forEach(({ type, label, color, count }) => {
+            const item = document.createElement('div');
+            item.className = 'fault-type-item';
+            item.innerHTML = `
+                <span class="fault-type-swatch"></span>
+                <span class="well-name"></span>
+                <input type="checkbox" class="well-checkbox" title="Show/Hide this fault type" />
+            `;
+            item.querySelector('.fault-type-swatch').style.background = `#${color.toString(16).padStart(6, '0')}`;
+            item.querySelector('.well-name').textContent = `${label} (${count})`;
+
+            const checkbox = item.querySelector('.well-checkbox');
+            checkbox.checked = this.faultLoader.isTypeVisible(type);
+            checkbox.addEventListener('change', () => {
+                this.faultLoader.setTypeVisible(type, checkbox.checked);
+                if (this.onToggle) this.onToggle(type, checkbox.checked);
+            });
+
+            this.container.appendChild(item);
+        });
+    }
+}
+
+// Per-fault list, the counterpart of WellTogglePanel: search by name, visibility, isolate,
+// color override and fly-to. onChange runs after anything that changes what is drawn.
+export class FaultBrowserPanel {
+    constructor(containerId, faultLoader, sceneManager, onChange) {
+        this.container = document.getElementById(containerId);
+        this.searchInput = document.getElementById('faultSearchInput');
+        this.showAllBtn = document.getElementById('showAllFaultsBtn');
+        this.faultLoader = faultLoader;
+        this.sceneManager = sceneManager;
+        this.onChange = onChange;
+        this.items = new Map();
+        this.checkboxes = new Map();
+
+        if (this.container) {
+            this._init();
+        }
+    }
+
+    _init() {
+        if (this.searchInput) {
+            this.searchInput.addEventListener('input', () => this._applySearch());
+        }
+
+        if (this.showAllBtn) {
+            this.showAllBtn.addEventListener('click', () => {
+                this.faultLoader.showAllFaults();
+                this._updateCheckboxes();
+                this._notify();
+            });
+        }
+
+        this.populateFaults();
+    }
+
+    populateFaults() {
+        this.container.innerHTML = '';
+        this.items.clear();
+        this.checkboxes.clear();
+
+        if (this.faultLoader.faults.length === 0) {
+            this.container.innerHTML = '<div class="empty-list">No faults</div>';
+            return;
+        }
+
+        // Natural order, so F2 comes before F10
+        const sorted = [...this.faultLoader.faults].sort((a, b) =>
+            a.name.localeCompare(b.name, undefined, { numeric: true })
+        );
+
+        sorted.forEach(fault => {
+            const item = document.createElement('div');
+            item.className = 'well-item fault-item';
+            item.innerHTML = `
+                <span class="well-name"></span>
+                <input type="color" class="fault-color-input" title="Fault color" />
+                <button class="btn-icon fault-reset-btn" title="Back to the fault type color">↺</button>
+                <button class="btn-icon fault-isolate-btn" title="Show only this fault">◎</button>
+                <button class="btn-icon fault-fly-btn" title="Frame this fault">⌖</button>
+                <input type="checkbox" class="well-checkbox" title="Show/Hide fault" />
+            `;
+
+            const label = item.querySelector('.well-name');
+            label.textContent = fault.name;
+            label.title = FaultFileConfig.getTypeStyle(fault.type).label;
+
+            const colorInput = item.querySelector('.fault-color-input');
+            colorInput.value = `#${fault.getColor().getHexString()}`;
+            colorInput.addEventListener('input', () => {
+                fault.setColor(colorInput.value);
+                this._notify();
+            });
+
+            item.querySelector('.fault-reset-btn').addEventListener('click', () => {
+                fault.setColor(null);
+                colorInput.value = `#${fault.getColor().getHexString()}`;
+                this._notify();
+            });
+
+            item.querySelector('.fault-isolate-btn').addEventListener('click', () => {
+                this.faultLoader.isolateFault(fault.id);
+                this._updateCheckboxes();
+                this._notify();
+            });
+
+            item.querySelector('.fault-fly-btn').addEventListener('click', () => {
+                this.sceneManager.frame(fault.getBounds());
+            });
+
+            const checkbox = item.querySelector('.well-checkbox');
+            checkbox.checked = this.faultLoader.isFaultVisible(fault.id);
+            checkbox.addEventListener('change', () => {
+                this.faultLoader.setFaultVisible(fault.id, checkbox.checked);
+                this._notify();
+            });
+
+            this.container.appendChild(item);
+            this.items.set(fault.id, item);
+            this.checkboxes.set(fault.id, checkbox);
+        });
+
+        this._applySearch();
+    }
+
+    _applySearch() {
+        const query = this.searchInput ? this.searchInput.value.trim().toLowerCase() : '';
+        this.items.forEach((item, id) => {
+            const { name } = this.faultLoader.getFault(id);
+            item.style.display = name.toLowerCase().includes(query) ? '' : 'none';
+        });
+    }
+
+    _updateCheckboxes() {
+        this.checkboxes.forEach((checkbox, id) => {
+            checkbox.checked = this.faultLoader.isFaultVisible(id);
+        });
+    }
+
+    _notify() {
+        if (this.onChange) {
+            this.onChange();
+        }
+    }
+}
+
+// Throw and heave of a fault surface against a horizon. Computing stores the analysis on the
+// fault, which shows the cutoffs and the chosen attribute; the chart follows the selected fault.
+export class FaultThrowPanel {
+    constructor(faultLoader, horizonManager) {
+        this.faultLoader = faultLoader;
+        this.horizonManager = horizonManager;
+        this.faultSelect = document.getElementById('throwFaultSelect');
+        this.horizonSelect = document.getElementById('throwHorizonSelect');
+        this.computeBtn = document.getElementById('computeThrowBtn');
+        this.attributeSelect = document.getElementById('throwAttributeSelect');
+        this.clearBtn = document.getElementById('clearThrowBtn');
+        this.status = document.getElementById('throwStatus');
+        this.chart = new ThrowProfileChart('throwProfileCanvas');
+
+        if (this.faultSelect) {
+            this._init();
+        }
+    }
+
+    _init() {
+        this.attributeSelect.value = FaultThrowConfig.attribute;
+
+        this.computeBtn.addEventListener('click', () => this._compute());
+        this.faultSelect.addEventListener('change', () => this._showFault());
+
+        this.attributeSelect.addEventListener('change', () => {
+            const fault = this._selectedFault();
+            if (fault) fault.setAttribute(this.attributeSelect.value || null);
+        });
+
+        this.clearBtn.addEventListener('click', () => {
+            const fault = this._selectedFault();
+            if (fault) fault.setThrowAnalysis(null);
+            this._showFault();
+        });
+
+        this.populateFaults();
+        this.populateHorizons();
+    }
+
+    _selectedFault() {
+        return this.faultLoader.getFault(parseInt(this.faultSelect.value));
+    }
+
+    // Only fault surfaces have a plane to cut
+    populateFaults() {
+        this._fillSelect(this.faultSelect, this.faultLoader.faults.filter(fault => fault.runs));
+        this._showFault();
+    }
+
+    populateHorizons() {
+        const horizons = this.horizonManager.getAll().filter(h => !h.isochron && h.points.length > 0);
+        this._fillSelect(this.horizonSelect, horizons);
+        this.computeBtn.disabled = horizons.length === 0 || this.faultSelect.options.length === 0;
+    }
+
+    _fillSelect(select, items) {
+        const previous = select.value;
+        select.innerHTML = '';
+        items.forEach(item => {
+            const option = document.createElement('option');
+            option.value = item.id;
+            option.textContent = item.name;
+            select.appendChild(option);
+        });
+
+        if (items.some(item => `${item.id}` === previous)) {
+            select.value = previous;
+        }
+    }
+
+    _compute() {
+        const fault = this._selectedFault();
+        const horizon = this.horizonManager.getHorizon(parseInt(this.horizonSelect.value));
+        if (!fault || !horizon) return;
+
+        try {
+            fault.setThrowAnalysis(FaultThrowAnalysis.compute(fault, horizon), this.attributeSelect.value || null);
+            this._showFault();
+        } catch (error) {
+            console.warn('Failed to compute fault throw:', error.message);
+            this.status.textContent = error.message;
+        }
+    }
+
+    _showFault() {
+        const fault = this._selectedFault();
+        const analysis = fault ? fault.throwAnalysis : null;
+
+        this.chart.setAnalysis(analysis);
+        this.clearBtn.disabled = !analysis;
+        if (!analysis) {
+            this.status.textContent = '';
+            return;
+        }
+
+        this.attributeSelect.value = fault.attribute ?? '';
+        const { min, max, count } = FaultThrowAnalysis.getStatistics(analysis, 'throw');
+        this.status.textContent = count > 0
+            ? `Throw ${min.toFixed(1)} to ${max.toFixed(1)} ms at ${count}/${analysis.stations.length} sticks`
+            : 'No cutoffs found';
+    }
+}
+
+export class HorizonRenderControl {
+    constructor(selectId, horizonManager) {
+        this.select = document.getElementById(selectId);
+        this.horizonManager = horizonManager;
+
+        if (this.select) {
+            this._init();
+        }
+    }
+
+    _init() {
+        this.select.value = HorizonConfig.renderMode;
+        this.select.addEventListener('change', () => {
+            this.horizonManager.setRenderMode(this.select.value);
+        });
+    }
+}
+
 export class WellTogglePanel {
     constructor(containerId, toggleAllBtnId, wellLoader) {
         this.container = document.getElementById(containerId);
@@ -284,70 +596,1214 @@ export class WellTogglePanel {
         }
     }
 }
-export class UIManager {
-    constructor() {
-        this.controls = {};
+export class ColorbarLegend {
+    constructor(containerId) {
+        this.container = document.getElementById(containerId);
+        this.canvas = null;
+        this.minLabel = null;
+        this.midLabel = null;
+        this.maxLabel = null;
+
+        if (this.container) {
+            this._init();
+        }
     }
 
-    createInlineSlider(inlinePlane) {
-        this.controls.inlineSlider = new SliderControl(
-            'inlineSlider',
-            'label_inline',
-            SeismicConfig.maxInlineIndex,
-            (value) => inlinePlane.setIndex(value)
-        );
+    _init() {
+        this.container.innerHTML = '';
+        this.container.classList.add('colorbar');
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = 256;
+        this.canvas.height = 12;
+
+        const labels = document.createElement('div');
+        labels.className = 'colorbar-labels';
+        this.minLabel = document.createElement('span');
+        this.midLabel = document.createElement('span');
+        this.maxLabel = document.createElement('span');
+        labels.append(this.minLabel, this.midLabel, this.maxLabel);
+
+        this.container.append(this.canvas, labels);
     }
 
-    createCrosslineSlider(crosslinePlane) {
-        this.controls.crosslineSlider = new SliderControl(
-            'crosslineSlider',
-            'label_crossline',
-            SeismicConfig.maxCrosslineIndex,
-            (value) => crosslinePlane.setIndex(value)
-        );
+    update({ colormap, min, max }) {
+        if (!this.canvas) return;
+
+        Colormap.get(colormap).drawToCanvas(this.canvas);
+        this.minLabel.textContent = this._formatValue(min);
+        this.midLabel.textContent = this._formatValue((min + max) / 2);
+        this.maxLabel.textContent = this._formatValue(max);
     }
 
-    createHorizonToggle(horizonManager) {
-        this.controls.horizonToggle = new ToggleButton(
-            'toggleHorizonBtn',
-            'Show Horizon',
-            'Hide Horizon',
-            (visible) => horizonManager.setAllVisible(visible)
-        );
+    _formatValue(value) {
+        if (value === 0) return '0';
+        const abs = Math.abs(value);
+        return abs >= 10000 || abs < 0.01 ? value.toExponential(1) : value.toPrecision(3);
     }
+}
 
-    createFaultToggle(faultLoader) {
-        this.controls.faultToggle = new ToggleButton(
-            'toggleFaultBtn',
-            'Show Fault',
-            'Hide Fault',
-            (visible) => faultLoader.setAllVisible(visible)
-        );
+export class SeismicDisplayPanel {
+    constructor(display) {
+        this.display = display;
+        this.colormapSelect = document.getElementById('colormapSelect');
+        this.clipModeSelect = document.getElementById('clipModeSelect');
+        this.clipSlider = document.getElementById('clipPercentileSlider');
+        this.clipLabel = document.getElementById('label_clipPercentile');
+        this.gainSlider = document.getElementById('gainSlider');
+        this.gainLabel = document.getElementById('label_gain');
+        this.polarityCheckbox = document.getElementById('reversePolarityCheckbox');
+        this.legend = new ColorbarLegend('seismicColorbar');
+
+        this._init();
     }
 
-    createWellPanel(wellLoader) {
-        this.controls.wellPanel = new WellTogglePanel(
-            'wellList',
-            'toggleAllWellsBtn',
-            wellLoader
+    _init() {
+        const { settings } = this.display;
+
+        if (this.colormapSelect) {
+            this.colormapSelect.innerHTML = '';
+            Colormap.getNames().forEach(name => {
+                const option = document.createElement('option');
+                option.value = name;
+                option.textContent = Colormap.get(name).label;
+                this.colormapSelect.appendChild(option);
+            });
+            this.colormapSelect.value = settings.colormap;
+            this.colormapSelect.addEventListener('change', () => {
+                this.display.update({ colormap: this.colormapSelect.value });
+            });
+        }
+
+        if (this.clipModeSelect) {
+            this.clipModeSelect.value = settings.clipMode;
+            this.clipModeSelect.addEventListener('change', () => {
+                this.display.update({ clipMode: this.clipModeSelect.value });
+            });
+        }
+
+        if (this.clipSlider) {
+            this.clipSlider.value = settings.clipPercentile;
+            this.clipSlider.addEventListener('input', () => {
+                this.display.update({ clipPercentile: parseFloat(this.clipSlider.value) });
+            });
+        }
+
+        if (this.gainSlider) {
+            this.gainSlider.value = settings.gain;
+            this.gainSlider.addEventListener('input', () => {
+                this.display.update({ gain: parseFloat(this.gainSlider.value) });
+            });
+        }
+
+        if (this.polarityCheckbox) {
+            this.polarityCheckbox.checked = settings.reversePolarity;
+            this.polarityCheckbox.addEventListener('change', () => {
+                this.display.update({ reversePolarity: this.polarityCheckbox.checked });
+            });
+        }
+
+        this.display.addListener((legend) => this._refresh(legend));
+        this._refresh(this.display.getLegend());
+    }
+
+    _refresh(legend) {
+        const { clipPercentile, gain } = this.display.settings;
+
+        if (this.clipLabel) {
+            this.clipLabel.textContent = `${clipPercentile}%`;
+        }
+        if (this.gainLabel) {
+            this.gainLabel.textContent = `${gain.toFixed(1)}x`;
+        }
+        this.legend.update(legend);
+    }
+}
+
+const PlaneLabels = {
+    inline: 'Inline',
+    crossline: 'Crossline',
+    time: 'Time'
+};
+
+export class SeismicPlaneListPanel {
+    constructor(seismicPlanes) {
+        this.seismicPlanes = seismicPlanes;
+        this.list = document.getElementById('seismicPlaneList');
+
+        this._init();
+    }
+
+    _init() {
+        Object.keys(PlaneLabels).forEach(orientation => {
+            const button = document.getElementById(`add${PlaneLabels[orientation]}PlaneBtn`);
+            if (!button) return;
+
+            button.addEventListener('click', () => {
+                // Start a tenth of the survey past the primary plane (before it near the end),
+                // close enough to find but clear of it
+                const current = this.seismicPlanes.getPlanes()[orientation];
+                const maxIndex = this.seismicPlanes.getMaxIndex(orientation);
+                const offset = Math.max(1, Math.round(maxIndex / 10));
+                const from = current ? current.currentIndex : 0;
+                const index = from + offset <= maxIndex ? from + offset : from - offset;
+                this.seismicPlanes.addPlane(orientation, Math.max(0, Math.min(index, maxIndex)));
+            });
+        });
+
+        this.seismicPlanes.onChange = (planes) => this._renderList(planes);
+        this._renderList(this.seismicPlanes.getPlaneList());
+    }
+
+    // Sliders run over indices; labels show the survey's line numbers
+    _formatIndex(orientation, value) {
+        if (orientation === 'inline') {
+            return CoordinateSystem.indexToInlineNumber(value).toString();
+        }
+        if (orientation === 'crossline') {
+            return CoordinateSystem.indexToCrosslineNumber(value).toString();
+        }
+        return `${CoordinateSystem.timeIndexToTime(value)} ms`;
+    }
+
+    _renderList(planes) {
+        if (!this.list) return;
+
+        this.list.innerHTML = '';
+
+        if (planes.length === 0) {
+            this.list.innerHTML = '<div class="empty-list">No planes</div>';
+            return;
+        }
+
+        const counts = {};
+        planes.forEach(plane => {
+            counts[plane.orientation] = (counts[plane.orientation] || 0) + 1;
+            this._renderItem(plane, `${PlaneLabels[plane.orientation]} ${counts[plane.orientation]}`);
+        });
+    }
+
+    _renderItem(plane, title) {
+        const item = document.createElement('div');
+        item.className = 'plane-item';
+        item.innerHTML = `
+            <div class="plane-item-header">
+                <span class="well-name"></span>
+                <input type="checkbox" class="well-checkbox" title="Show/Hide plane" />
+                <button class="btn-icon" title="Remove plane">✕</button>
+            </div>
+            <label>
+                Index
+                <input type="range" id="planeIndex_${plane.id}" min="0" />
+                <span id="label_planeIndex_${plane.id}" class="value-label"></span>
+            </label>
+            <label>
+                Opacity
+                <input type="range" id="planeOpacity_${plane.id}" min="0" />
+                <span id="label_planeOpacity_${plane.id}" class="value-label"></span>
+            </label>
+        `;
+
+        item.querySelector('.well-name').textContent = title;
+
+        const checkbox = item.querySelector('.well-checkbox');
+        checkbox.checked = plane.visible;
+        checkbox.addEventListener('change', () => {
+            this.seismicPlanes.setPlaneVisible(plane.id, checkbox.checked);
+        });
+
+        item.querySelector('.btn-icon').addEventListener('click', () => {
+            this.seismicPlanes.removePlane(plane.id);
+        });
+
+        // SliderControl looks its elements up by id, so the item must be in the document first
+        this.list.appendChild(item);
+
+        const indexSlider = new SliderControl(
+            `planeIndex_${plane.id}`,
+            `label_planeIndex_${plane.id}`,
+            this.seismicPlanes.getMaxIndex(plane.orientation),
+            (value) => this.seismicPlanes.setPlaneIndex(plane.id, value),
+            (value) => this._formatIndex(plane.orientation, value)
         );
+        indexSlider.setValue(plane.currentIndex);
 
-        wellLoader.onWellsLoaded = (wellNames) => {
-            this.controls.wellPanel.populateWells(wellNames);
+        const opacitySlider = new SliderControl(
+            `planeOpacity_${plane.id}`,
+            `label_planeOpacity_${plane.id}`,
+            100,
+            (value) => this.seismicPlanes.setPlaneOpacity(plane.id, value / 100),
+            (value) => `${value}%`
+        );
+        opacitySlider.setValue(Math.round(plane.opacity * 100));
+    }
+}
+
+export class HorizonListPanel {
+    // faultLoader is optional; without it gridding ignores faults
+    constructor(horizonManager, faultLoader = null) {
+        this.horizonManager = horizonManager;
+        this.faultLoader = faultLoader;
+        this.list = document.getElementById('horizonList');
+        this.toggleAllBtn = document.getElementById('toggleAllHorizonsBtn');
+        this.isochronTopSelect = document.getElementById('isochronTopSelect');
+        this.isochronBottomSelect = document.getElementById('isochronBottomSelect');
+        this.isochronBtn = document.getElementById('computeIsochronBtn');
+        this.importBtn = document.getElementById('importHorizonBtn');
+        this.fileInput = document.getElementById('horizonFileInput');
+        this.gridHorizonSelect = document.getElementById('gridHorizonSelect');
+        this.gridMethodSelect = document.getElementById('gridMethodSelect');
+        this.gridRadiusInput = document.getElementById('gridRadiusInput');
+        this.gridFaultCheckbox = document.getElementById('gridFaultBarrierCheckbox');
+        this.gridBtn = document.getElementById('gridHorizonBtn');
+        this.filterHorizonSelect = document.getElementById('filterHorizonSelect');
+        this.smoothMethodSelect = document.getElementById('smoothMethodSelect');
+        this.smoothWindowInput = document.getElementById('smoothWindowInput');
+        this.smoothBtn = document.getElementById('smoothHorizonBtn');
+        this.spikeThresholdInput = document.getElementById('spikeThresholdInput');
+        this.findSpikesBtn = document.getElementById('findSpikesBtn');
+        this.spikeStatus = document.getElementById('spikeStatus');
+        this.spikeTable = document.getElementById('spikeTable');
+        this.checkboxes = new Map();
+        this.listeners = [];
+
+        this._init();
+    }
+
+    _init() {
+        if (this.toggleAllBtn) {
+            this.toggleAllBtn.addEventListener('click', () => {
+                const visible = !this._allVisible();
+                this.horizonManager.setAllVisible(visible);
+                this.checkboxes.forEach(checkbox => { checkbox.checked = visible; });
+                this._updateToggleAllButton();
+                this._notify();
+            });
+        }
+
+        if (this.isochronBtn) {
+            this.isochronBtn.addEventListener('click', () => this._computeIsochron());
+        }
+
+        if (this.importBtn && this.fileInput) {
+            this.importBtn.addEventListener('click', () => this.fileInput.click());
+            this.fileInput.addEventListener('change', () => this._importFiles());
+        }
+
+        if (this.gridBtn) {
+            this.gridMethodSelect.value = GriddingConfig.method;
+            this.gridRadiusInput.value = GriddingConfig.searchRadius;
+            this.gridFaultCheckbox.disabled = !this.faultLoader;
+            this.gridBtn.addEventListener('click', () => this._gridHorizon());
+        }
+
+        if (this.smoothBtn) {
+            this.smoothMethodSelect.value = HorizonFilterConfig.method;
+            this.smoothWindowInput.value = HorizonFilterConfig.window;
+            this.smoothBtn.addEventListener('click', () => this._smoothHorizon());
+        }
+
+        if (this.findSpikesBtn) {
+            this.spikeThresholdInput.value = HorizonFilterConfig.spikeThreshold;
+            this.findSpikesBtn.addEventListener('click', () => this._findSpikes());
+            this.filterHorizonSelect.addEventListener('change', () => this._renderSpikeTable());
+        }
+
+        this.refresh();
+    }
+
+    // Runs in a worker; the button stays disabled until the gridded version is shown
+    async _gridHorizon() {
+        const horizon = this.horizonManager.getHorizon(parseInt(this.gridHorizonSelect.value));
+        if (!horizon) return;
+
+        const radius = parseFloat(this.gridRadiusInput.value);
+        const options = {
+            method: this.gridMethodSelect.value,
+            searchRadius: radius > 0 ? radius : GriddingConfig.searchRadius,
+            useFaults: this.gridFaultCheckbox.checked
         };
 
-        const existingWells = wellLoader.getWellNames();
-        if (existingWells.length > 0) {
-            this.controls.wellPanel.populateWells(existingWells);
+        this.gridBtn.disabled = true;
+        try {
+            const faults = this.faultLoader ? this.faultLoader.faults : [];
+            horizon.setGridded(await HorizonGridding.compute(horizon, options, faults));
+            this.update();
+        } catch (error) {
+            console.warn('Failed to grid horizon:', error.message);
+        } finally {
+            this.gridBtn.disabled = false;
         }
     }
 
-    refreshWellLogSelectors() {
-        if (this.controls.wellPanel) {
-            this.controls.wellPanel.refreshLogSelectors();
+    _computeIsochron() {
+        const top = this.horizonManager.getHorizon(parseInt(this.isochronTopSelect.value));
+        const bottom = this.horizonManager.getHorizon(parseInt(this.isochronBottomSelect.value));
+        if (!top || !bottom || top === bottom) return;
+
+        try {
+            this.horizonManager.addIsochron(top, bottom);
+            this.refresh();
+            this._notify();
+        } catch (error) {
+            console.warn('Failed to compute isochron:', error.message);
+        }
+    }
+
+    // Format is detected per file from its contents and extension
+    async _importFiles() {
+        const files = [...this.fileInput.files];
+        this.fileInput.value = '';
+
+        for (const file of files) {
+            try {
+                this.horizonManager.addHorizonFromText(await file.text(), { fileName: file.name });
+            } catch (error) {
+                console.warn(`Failed to import horizon ${file.name}:`, error.message);
+            }
+        }
+
+        this.refresh();
+        this._notify();
+    }
+
+    _populateIsochronSelects(horizons) {
+        const sources = horizons.filter(h => !h.isochron);
+
+        [this.isochronTopSelect, this.isochronBottomSelect].forEach((select, i) => {
+            if (!select) return;
+
+            const previous = select.value;
+            select.innerHTML = '';
+            sources.forEach(horizon => {
+                const option = document.createElement('option');
+                option.value = horizon.id;
+                option.textContent = horizon.name;
+                select.appendChild(option);
+            });
+
+            // Default to the first two horizons, in load order
+            const fallback = sources[Math.min(i, sources.length - 1)];
+            select.value = sources.some(h => `${h.id}` === previous) ? previous : (fallback ? fallback.id : '');
+        });
+
+        if (this.isochronBtn) {
+            this.isochronBtn.disabled = sources.length < 2;
         }
     }
 
+    // Window widths are odd so every window is centred on its node
+    _smoothHorizon() {
+        const horizon = this.horizonManager.getHorizon(parseInt(this.filterHorizonSelect.value));
+        if (!horizon) return;
+        if (horizon.points.length === 0) {
+            this.spikeStatus.textContent = 'No points';
+            return;
+        }
+
+        const window = parseInt(this.smoothWindowInput.value);
+        if (!(window >= 3 && window % 2 === 1)) {
+            this.smoothWindowInput.value = HorizonFilterConfig.window;
+            return;
+        }
+
+        try {
+            this.horizonManager.addSmoothed(horizon, { method: this.smoothMethodSelect.value, window });
+            this.update();
+        } catch (error) {
+            console.warn('Failed to smooth horizon:', error.message);
+        }
+    }
+
+    _findSpikes() {
+        const horizon = this.horizonManager.getHorizon(parseInt(this.filterHorizonSelect.value));
+        const threshold = parseFloat(this.spikeThresholdInput.value);
+        if (!horizon || !(threshold >= 0)) return;
+
+        if (horizon.points.length === 0) {
+            this.spikeStatus.textContent = 'No points';
+            return;
+        }
+
+        const spikes = this.horizonManager.detectSpikes(horizon, { threshold });
+        this._renderSpikeTable();
+        this.spikeStatus.textContent = `${spikes.length} spikes`;
+    }
+
+    // Spikes of the horizon selected for filtering; clicking a row highlights that spike in 3D
+    _renderSpikeTable() {
+        if (!this.spikeTable) return;
+
+        const horizon = this.horizonManager.getHorizon(parseInt(this.filterHorizonSelect.value));
+        const spikes = horizon ? horizon.getSpikes() : [];
+        this.spikeTable.innerHTML = '';
+        this.spikeStatus.textContent = spikes.length > 0 ? `${spikes.length} spikes` : '';
+        if (spikes.length === 0) return;
+
+        const table = document.createElement('table');
+        table.innerHTML = '<thead><tr><th>Inline</th><th>Crossline</th><th>Z</th><th>Δ</th></tr></thead><tbody></tbody>';
+        const body = table.querySelector('tbody');
+
+        spikes.slice(0, HorizonFilterConfig.maxListedSpikes).forEach((spike, i) => {
+            const row = document.createElement('tr');
+            row.classList.toggle('selected', horizon.spikes.selected === i);
+            [spike.inline, spike.crossline, spike.z.toFixed(1), spike.deviation.toFixed(1)].forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+            row.addEventListener('click', () => {
+                body.querySelectorAll('tr.selected').forEach(selected => selected.classList.remove('selected'));
+                row.classList.add('selected');
+                horizon.spikes.select(i);
+            });
+            body.appendChild(row);
+        });
+
+        this.spikeTable.appendChild(table);
+    }
+
+    // Thickness layers are derived from two horizons and are neither gridded nor filtered
+    // Interpretations without picks yet have no lattice to grid or filter
+    _populateSourceSelects(horizons) {
+        const sources = horizons.filter(h => !h.isochron && h.points.length > 0);
+
+        [[this.gridHorizonSelect, this.gridBtn], [this.filterHorizonSelect, this.smoothBtn]].forEach(([select, button]) => {
+            if (!select) return;
+
+            const previous = select.value;
+            select.innerHTML = '';
+            sources.forEach(horizon => {
+                const option = document.createElement('option');
+                option.value = horizon.id;
+                option.textContent = horizon.name;
+                select.appendChild(option);
+            });
+
+            if (sources.some(h => `${h.id}` === previous)) {
+                select.value = previous;
+            }
+            button.disabled = sources.length === 0;
+        });
+
+        if (this.findSpikesBtn) {
+            this.findSpikesBtn.disabled = sources.length === 0;
+        }
+        this._renderSpikeTable();
+    }
+
+    _downloadCSV(horizon, text) {
+        const blob = new Blob([text], { type: 'text/csv' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `${horizon.name.replace(/[^\w-]+/g, '_')}.csv`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    refresh() {
+        if (!this.list) return;
+
+        this.list.innerHTML = '';
+        this.checkboxes.clear();
+
+        const horizons = this.horizonManager.getAll().filter(h => h.points.length > 0);
+        if (horizons.length === 0) {
+            this.list.innerHTML = '<div class="empty-list">No horizons</div>';
+        }
+
+        horizons.forEach(horizon => this._renderItem(horizon));
+        this._populateIsochronSelects(horizons);
+        this._populateSourceSelects(horizons);
+        this._updateToggleAllButton();
+    }
+
+    _allVisible() {
+        return this.horizonManager.getAll().every(h => h.visible);
+    }
+
+    // Called after any change that alters what a horizon looks like
+    addListener(callback) {
+        this.listeners.push(callback);
+    }
+
+    _notify() {
+        this.listeners.forEach(callback => callback());
+    }
+
+    // For changes made outside the panel, e.g. new picks
+    update() {
+        this.refresh();
+        this._notify();
+    }
+
+    _updateToggleAllButton() {
+        if (this.toggleAllBtn) {
+            this.toggleAllBtn.textContent = this._allVisible() ? 'Hide All' : 'Show All';
+        }
+    }
+
+    _renderItem(horizon) {
+        const { id } = horizon;
+        const item = document.createElement('div');
+        item.className = 'plane-item';
+        item.innerHTML = `
+            <div class="plane-item-header">
+                <span class="well-name"></span>
+                <select class="well-log-select" title="Colormap"></select>
+                <input type="checkbox" class="well-checkbox" title="Show/Hide horizon" />
+            </div>
+            ${horizon.hasGridded() ? `
+            <div class="display-row horizon-range-row">
+                <span>Show</span>
+                <select class="well-log-select horizon-version-select" title="Points as loaded or the interpolated grid">
+                    <option value="raw">Raw</option>
+                    <option value="gridded">Gridded</option>
+                </select>
+            </div>` : ''}
+            <div class="display-row horizon-range-row">
+                <span>Color by</span>
+                <select class="well-log-select horizon-property-select" title="Value shown in color"></select>
+            </div>
+            <label>
+                Opacity
+                <input type="range" id="horizonOpacity_${id}" min="0" />
+                <span id="label_horizonOpacity_${id}" class="value-label"></span>
+            </label>
+            <div class="display-row horizon-range-row">
+                <span>Range</span>
+                <input type="number" class="text-input horizon-min-input" title="Colormap minimum" />
+                <input type="number" class="text-input horizon-max-input" title="Colormap maximum" />
+                <button class="btn-icon horizon-reset-btn" title="Reset to data range">↺</button>
+            </div>
+            <div class="display-row horizon-range-row">
+                <span>Contours</span>
+                <input type="number" class="text-input horizon-contour-input" min="0"
+                       placeholder="off" title="Contour interval, empty for none" />
+            </div>
+            <div id="horizonColorbar_${id}"></div>
+        `;
+
+        item.querySelector('.well-name').textContent = horizon.name;
+
+        if (horizon.isochron) {
+            this._renderIsochronDetails(item, horizon);
+        } else if (horizon.picks) {
+            this._appendLayerActions(item, horizon, () => HorizonPicks.toCSV(horizon), 'interpretation');
+        }
+
+        const checkbox = item.querySelector('.well-checkbox');
+        checkbox.checked = horizon.visible;
+        checkbox.addEventListener('change', () => {
+            horizon.setVisible(checkbox.checked);
+            this._updateToggleAllButton();
+            this._notify();
+        });
+        this.checkboxes.set(id, checkbox);
+
+        const colormapSelect = item.querySelector('.plane-item-header select');
+        Colormap.getNames().forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = Colormap.get(name).label;
+            colormapSelect.appendChild(option);
+        });
+        colormapSelect.value = horizon.colormap;
+
+        // SliderControl and ColorbarLegend look their elements up by id
+        this.list.appendChild(item);
+
+        const legend = new ColorbarLegend(`horizonColorbar_${id}`);
+        const minInput = item.querySelector('.horizon-min-input');
+        const maxInput = item.querySelector('.horizon-max-input');
+        const showRange = () => {
+            const { min, max } = horizon.colorRange;
+            minInput.value = min;
+            maxInput.value = max;
+            legend.update(horizon.getLegend());
+        };
+
+        colormapSelect.addEventListener('change', () => {
+            horizon.setColormap(colormapSelect.value);
+            showRange();
+            this._notify();
+        });
+
+        const applyRange = () => {
+            const min = parseFloat(minInput.value);
+            const max = parseFloat(maxInput.value);
+            if (Number.isFinite(min) && Number.isFinite(max) && min < max) {
+                horizon.setColorRange(min, max);
+                this._notify();
+            }
+            showRange();
+        };
+        minInput.addEventListener('change', applyRange);
+        maxInput.addEventListener('change', applyRange);
+
+        item.querySelector('.horizon-reset-btn').addEventListener('click', () => {
+            const { min, max } = horizon.getDataRange();
+            horizon.setColorRange(min, max);
+            showRange();
+            this._notify();
+        });
+
+        const propertySelect = item.querySelector('.horizon-property-select');
+        const properties = [['', horizon.isochron ? 'Thickness' : 'Z']].concat(
+            HorizonAttributes.getNames().map(name => [name, HorizonAttributes.getLabel(name)])
+        );
+        properties.forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            propertySelect.appendChild(option);
+        });
+        propertySelect.value = horizon.getColorProperty() ?? '';
+
+        // Attributes are computed in a worker the first time; the select is locked meanwhile
+        propertySelect.addEventListener('change', async () => {
+            propertySelect.disabled = true;
+            try {
+                await horizon.setColorProperty(propertySelect.value || null);
+                colormapSelect.value = horizon.colormap;
+                showRange();
+                this._notify();
+            } catch (error) {
+                console.warn('Failed to compute horizon attribute:', error.message);
+                propertySelect.value = horizon.getColorProperty() ?? '';
+            } finally {
+                propertySelect.disabled = false;
+            }
+        });
+
+        const versionSelect = item.querySelector('.horizon-version-select');
+        if (versionSelect) {
+            versionSelect.value = horizon.getVersion();
+            // Switching rebuilds the surface, which drops any attribute coloring
+            versionSelect.addEventListener('change', () => {
+                horizon.setVersion(versionSelect.value);
+                this.update();
+            });
+        }
+
+        const contourInput = item.querySelector('.horizon-contour-input');
+        contourInput.value = horizon.getContourInterval() ?? '';
+        contourInput.min = horizon.getMinContourInterval();
+        contourInput.addEventListener('change', () => {
+            const interval = parseFloat(contourInput.value);
+            horizon.setContourInterval(interval > 0 ? interval : null);
+            contourInput.value = horizon.getContourInterval() ?? '';
+            this._notify();
+        });
+
+        const opacitySlider = new SliderControl(
+            `horizonOpacity_${id}`,
+            `label_horizonOpacity_${id}`,
+            100,
+            (value) => horizon.setOpacity(value / 100),
+            (value) => `${value}%`
+        );
+        opacitySlider.setValue(Math.round(horizon.opacity * 100));
+
+        showRange();
+    }
+
+    // Export and remove buttons for layers made in the viewer
+    _appendLayerActions(item, horizon, toCSV, kind) {
+        const exportBtn = document.createElement('button');
+        exportBtn.className = 'btn-icon';
+        exportBtn.title = `Export ${kind} as CSV`;
+        exportBtn.textContent = '⤓';
+        exportBtn.addEventListener('click', () => this._downloadCSV(horizon, toCSV()));
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'btn-icon';
+        removeBtn.title = `Remove ${kind}`;
+        removeBtn.textContent = '✕';
+        removeBtn.addEventListener('click', () => {
+            this.horizonManager.removeHorizon(horizon.id);
+            this.update();
+        });
+
+        item.querySelector('.plane-item-header').append(exportBtn, removeBtn);
+    }
+
+    _renderIsochronDetails(item, horizon) {
+        const header = item.querySelector('.plane-item-header');
+        const { min, max, mean } = horizon.isochron.statistics;
+
+        this._appendLayerActions(item, horizon, () => Isochron.toCSV(horizon), 'isochron');
+
+        const stats = document.createElement('div');
+        stats.className = 'horizon-stats';
+        stats.textContent = `Thickness min ${min.toFixed(1)}  max ${max.toFixed(1)}  mean ${mean.toFixed(1)}`;
+        header.after(stats);
+    }
+}
+
+
+// Interpretation tools: which horizon is being picked, what a click on a section does,
+// and which seismic event snapping and autotracking follow
+export class HorizonPickingPanel {
+    constructor(horizonPicking, mapView) {
+        this.horizonPicking = horizonPicking;
+        this.mapView = mapView;
+
+        this.interpretationSelect = document.getElementById('interpretationSelect');
+        this.newBtn = document.getElementById('newInterpretationBtn');
+        this.modeSelect = document.getElementById('pickModeSelect');
+        this.eventSelect = document.getElementById('pickEventSelect');
+        this.scopeSelect = document.getElementById('pickScopeSelect');
+        this.eraseRegionBtn = document.getElementById('eraseRegionBtn');
+        this.status = document.getElementById('pickStatus');
+
+        this._init();
+    }
+
+    _init() {
+        if (!this.horizonPicking.isTrackingAvailable()) {
+            [this.eventSelect, this.scopeSelect].forEach(el => {
+                if (el) {
+                    el.disabled = true;
+                    el.title = 'Requires a SEG-Y volume';
+                }
+            });
+            const trackOption = this.modeSelect && this.modeSelect.querySelector('option[value="track"]');
+            if (trackOption) trackOption.disabled = true;
+        }
+
+        if (this.newBtn) {
+            this.newBtn.addEventListener('click', () => this.horizonPicking.createInterpretation());
+        }
+
+        if (this.interpretationSelect) {
+            this.interpretationSelect.addEventListener('change', () => {
+                this.horizonPicking.setActive(parseInt(this.interpretationSelect.value));
+            });
+        }
+
+        if (this.modeSelect) {
+            this.modeSelect.value = this.horizonPicking.mode;
+            this.modeSelect.addEventListener('change', () => this.horizonPicking.setMode(this.modeSelect.value));
+        }
+
+        if (this.eventSelect) {
+            this.eventSelect.value = this.horizonPicking.event;
+            this.eventSelect.addEventListener('change', () => this.horizonPicking.setEvent(this.eventSelect.value));
+        }
+
+        if (this.scopeSelect) {
+            this.scopeSelect.value = this.horizonPicking.scope;
+            this.scopeSelect.addEventListener('change', () => this.horizonPicking.setScope(this.scopeSelect.value));
+        }
+
+        if (this.eraseRegionBtn && this.mapView) {
+            this.eraseRegionBtn.addEventListener('click', () => {
+                this.mapView.startPolyline((points) => this.horizonPicking.eraseInPolygon(points));
+            });
+        }
+
+        if (this.mapView) {
+            this.mapView.addLayer('horizonPicks', (ctx, toCanvas) => {
+                ctx.fillStyle = PickingConfig.mapColor;
+                this.horizonPicking.getInterpretations().filter(h => h.visible).forEach(horizon => {
+                    horizon.picks.picks.forEach(({ inlineIndex, crosslineIndex }) => {
+                        const p = toCanvas(inlineIndex, crosslineIndex);
+                        ctx.fillRect(p.x - 0.5, p.y - 0.5, 1.5, 1.5);
+                    });
+                });
+            });
+        }
+
+        this.refresh();
+    }
+
+    refresh() {
+        const active = this.horizonPicking.getActive();
+
+        if (this.interpretationSelect) {
+            this.interpretationSelect.innerHTML = '';
+            this.horizonPicking.getInterpretations().forEach(horizon => {
+                const option = document.createElement('option');
+                option.value = horizon.id;
+                option.textContent = horizon.name;
+                this.interpretationSelect.appendChild(option);
+            });
+            this.interpretationSelect.value = active ? active.id : '';
+            this.interpretationSelect.disabled = !active;
+        }
+
+        if (this.eraseRegionBtn) {
+            this.eraseRegionBtn.disabled = !active;
+        }
+
+        if (this.status) {
+            this.status.textContent = active ? `${active.picks.size} picks` : 'No interpretation';
+        }
+
+        if (this.mapView) {
+            this.mapView.render();
+        }
+    }
+}
+export class ArbitraryLinePanel {
+    constructor(arbitraryLines, mapView, wellLoader) {
+        this.arbitraryLines = arbitraryLines;
+        this.mapView = mapView;
+        this.wellLoader = wellLoader;
+
+        this.drawBtn = document.getElementById('drawArbitraryLineBtn');
+        this.wellBtn = document.getElementById('wellArbitraryLineBtn');
+        this.wellInput = document.getElementById('arbitraryLineWells');
+        this.list = document.getElementById('arbitraryLineList');
+
+        this._init();
+    }
+
+    _init() {
+        if (!this.arbitraryLines.isAvailable()) {
+            [this.drawBtn, this.wellBtn, this.wellInput].forEach(el => {
+                if (el) {
+                    el.disabled = true;
+                    el.title = 'Requires a SEG-Y volume';
+                }
+            });
+        }
+
+        if (this.drawBtn) {
+            this.drawBtn.addEventListener('click', () => {
+                this.mapView.startPolyline((points) => {
+                    this._tryCreate(() => this.arbitraryLines.createLine(this.arbitraryLines.getNextName(), points));
+                });
+            });
+        }
+
+        if (this.wellBtn && this.wellInput) {
+            this.wellBtn.addEventListener('click', () => {
+                const names = this.wellInput.value.split(',').map(n => n.trim()).filter(Boolean);
+                const wells = names.map(name => this.wellLoader.getWell(name));
+
+                const missing = names.filter((name, i) => !wells[i]);
+                if (missing.length > 0) {
+                    console.warn(`Unknown wells ignored: ${missing.join(', ')}`);
+                }
+
+                this._tryCreate(() => this.arbitraryLines.createLineFromWells(`Wells ${names.join('-')}`, wells));
+            });
+        }
+
+        this.arbitraryLines.onChange = (lines) => {
+            this._renderList(lines);
+            this.mapView.render();
+        };
+
+        this.mapView.addLayer('arbitraryLines', (ctx, toCanvas) => {
+            this.arbitraryLines.getLines().filter(line => line.visible).forEach(line => {
+                this.mapView.drawPolyline(ctx, line.points, ArbitraryLineConfig.mapColor);
+
+                const start = toCanvas(line.points[0].inline, line.points[0].crossline);
+                ctx.fillStyle = ArbitraryLineConfig.mapColor;
+                ctx.font = '10px sans-serif';
+                ctx.fillText(line.name, start.x + 4, start.y - 4);
+            });
+        });
+
+        this._renderList(this.arbitraryLines.getLines());
+    }
+
+    _tryCreate(create) {
+        try {
+            create();
+        } catch (error) {
+            console.warn('Failed to create arbitrary line:', error.message);
+        }
+    }
+
+    _renderList(lines) {
+        if (!this.list) return;
+
+        this.list.innerHTML = '';
+
+        if (lines.length === 0) {
+            this.list.innerHTML = '<div class="empty-list">No lines yet</div>';
+            return;
+        }
+
+        lines.forEach(line => {
+            const item = document.createElement('div');
+            item.className = 'well-item';
+
+            const label = document.createElement('span');
+            label.className = 'well-name';
+            label.textContent = line.name;
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.className = 'well-checkbox';
+            checkbox.checked = line.visible;
+            checkbox.title = 'Show/Hide line';
+            checkbox.addEventListener('change', () => {
+                this.arbitraryLines.setLineVisible(line.id, checkbox.checked);
+            });
+
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'btn-icon';
+            removeBtn.textContent = '✕';
+            removeBtn.title = 'Delete line';
+            removeBtn.addEventListener('click', () => this.arbitraryLines.removeLine(line.id));
+
+            item.append(label, checkbox, removeBtn);
+            this.list.appendChild(item);
+        });
+    }
+}
+
+export class DomainControl {
+    constructor(selectId, hasVelocityModel, onChange) {
+        this.select = document.getElementById(selectId);
+        this.onChange = onChange;
+
+        if (this.select) {
+            this._init(hasVelocityModel);
+        }
+    }
+
+    _init(hasVelocityModel) {
+        this.select.value = CoordinateSystem.getDomain();
+
+        if (!hasVelocityModel) {
+            this.select.disabled = true;
+            this.select.title = 'Load a velocity model to view in depth';
+            return;
+        }
+
+        this.select.addEventListener('change', () => {
+            if (this.onChange) {
+                this.onChange(this.select.value);
+            }
+        });
+    }
+}
+
+export class VerticalExaggerationControl {
+    constructor(sliderId, labelId, onChange) {
+        this.slider = document.getElementById(sliderId);
+        this.label = document.getElementById(labelId);
+        this.onChange = onChange;
+
+        if (this.slider) {
+            this._init();
+        }
+    }
+
+    _init() {
+        const { min, max, step } = VerticalExaggerationConfig;
+        Object.assign(this.slider, { min, max, step });
+        this.slider.value = CoordinateSystem.getVerticalExaggeration();
+        this._updateLabel();
+
+        this.slider.addEventListener('input', () => this._updateLabel());
+
+        // Rescaling rebuilds every scene object, so wait until the slider is released
+        this.slider.addEventListener('change', () => {
+            if (this.onChange) {
+                this.onChange(parseFloat(this.slider.value));
+            }
+        });
+    }
+
+    _updateLabel() {
+        if (this.label) {
+            this.label.textContent = `${parseFloat(this.slider.value).toFixed(2)}x`;
+        }
+    }
+}
+
+export class CursorReadout {
+    constructor(elementId) {
+        this.element = document.getElementById(elementId);
+    }
+
+    update(result) {
+        if (!this.element) return;
+
+        if (!result) {
+            this.element.style.display = 'none';
+            return;
+        }
+
+        const { inline, crossline, time, depth, x, y } = result.survey;
+        const depthText = depth !== null ? `  Z ${depth.toFixed(0)} m` : '';
+        this.element.textContent =
+            `IL ${Math.round(inline)}  XL ${Math.round(crossline)}  ` +
+            `TWT ${time.toFixed(0)} ms${depthText}  X ${x.toFixed(1)}  Y ${y.toFixed(1)}`;
+        this.element.style.display = 'block';
+    }
+}
+
+export class UIManager {
+    constructor() {
+        this.controls = {};
+    }
+
+    createSeismicPlanePanel(seismicPlanes) {
+        this.controls.seismicPlanePanel = new SeismicPlaneListPanel(seismicPlanes);
+    }
+
+    createSeismicDisplayPanel(display) {
+        this.controls.seismicDisplayPanel = new SeismicDisplayPanel(display);
+    }
+
+    createHorizonPanel(horizonManager, onChange, faultLoader = null) {
+        this.controls.horizonPanel = new HorizonListPanel(horizonManager, faultLoader);
+        if (onChange) {
+            this.controls.horizonPanel.addListener(onChange);
+        }
+    }
+
+    createHorizonRenderControl(horizonManager) {
+        this.controls.horizonRender = new HorizonRenderControl('horizonRenderSelect', horizonManager);
+    }
+
+    createFaultToggle(faultLoader, onToggle) {
+        this.controls.faultToggle = new ToggleButton(
+            'toggleFaultBtn',
+            'Show Fault',
+            'Hide Fault',
+            (visible) => {
+                faultLoader.setAllVisible(visible);
+                if (onToggle) onToggle(visible);
+            }
+        );
+    }
+
+    createFaultTypePanel(faultLoader, onToggle) {
+        this.controls.faultTypes = new FaultTypePanel('faultTypeList', faultLoader, onToggle);
+    }
+
+    // Isolating a fault can show its type and all faults again, so the type legend and the
+    // Hide Fault button follow the browser
+    createFaultBrowserPanel(faultLoader, sceneManager, onChange) {
+        this.controls.faultBrowser = new FaultBrowserPanel('faultList', faultLoader, sceneManager, () => {
+            if (this.controls.faultTypes) this.controls.faultTypes.refresh();
+            if (this.controls.faultToggle) this.controls.faultToggle.setActive(faultLoader.visible);
+            if (onChange) onChange();
+        });
+    }
+
+    // Horizons come and go from the Horizons panel, so the horizon list follows it
+    createFaultThrowPanel(faultLoader, horizonManager) {
+        this.controls.faultThrow = new FaultThrowPanel(faultLoader, horizonManager);
+        if (this.controls.horizonPanel) {
+            this.controls.horizonPanel.addListener(() => this.controls.faultThrow.populateHorizons());
+        }
+    }
+
+    createSectionTraceToggle(sectionTraces) {
+        const checkbox = document.getElementById('sectionTracesCheckbox');
+        if (!checkbox) return;
+
+        checkbox.checked = sectionTraces.getVisible();
+        checkbox.addEventListener('change', () => sectionTraces.setVisible(checkbox.checked));
+    }
+
+    createWellPanel(wellLoader) {
+        this.controls.wellPanel = new WellTogglePanel(
+            'wellList',
+            'toggleAllWellsBtn',
+            wellLoader
+        );
+
+        wellLoader.onWellsLoaded = (wellNames) => {
+            this.controls.wellPanel.populateWells(wellNames);
+        };
+
+        const existingWells = wellLoader.getWellNames();
+        if (existingWells.length > 0) {
+            this.controls.wellPanel.populateWells(existingWells);
+        }
+    }
+
+    refreshWellLogSelectors() {
+        if (this.controls.wellPanel) {
+            this.controls.wellPanel.refreshLogSelectors();
+        }
+    }
+
+    createMapView(wellLoader, horizonManager) {
+        this.controls.mapView = new MapView('mapView');
+
+        this.controls.mapView.addLayer('isochrons', (ctx, toCanvas) => {
+            horizonManager.getAll().forEach(horizon => {
+                if (horizon.visible && horizon.isochron) {
+                    horizon.drawToMap(ctx, toCanvas);
+                }
+            });
+        });
+        this.controls.mapView.addLayer('horizonContours', (ctx, toCanvas) => {
+            horizonManager.getAll().forEach(horizon => {
+                if (horizon.visible && horizon.contours) {
+                    horizon.contours.drawToMap(ctx, toCanvas);
+                }
+            });
+        });
+        if (this.controls.horizonPanel) {
+            this.controls.horizonPanel.addListener(() => this.controls.mapView.render());
+        }
+
+        const wellColor = `#${new THREE.Color(StyleConfig.defaultWellColor).getHexString()}`;
+        this.controls.mapView.addLayer('wells', (ctx, toCanvas) => {
+            ctx.fillStyle = wellColor;
+            wellLoader.wells.forEach(well => {
+                if (!well.mesh || !well.mesh.visible) return;
+                const p = toCanvas(
+                    CoordinateSystem.inlineNumberToIndex(well.inline),
+                    CoordinateSystem.crosslineNumberToIndex(well.crossline)
+                );
+                ctx.beginPath();
+                ctx.arc(p.x, p.y, 2, 0, Math.PI * 2);
+                ctx.fill();
+            });
+        });
+
+        return this.controls.mapView;
+    }
+
+    createArbitraryLinePanel(arbitraryLines, wellLoader) {
+        this.controls.arbitraryLinePanel = new ArbitraryLinePanel(
+            arbitraryLines,
+            this.controls.mapView,
+            wellLoader
+        );
+    }
+
+    createDomainControl(hasVelocityModel, onChange) {
+        this.controls.domainControl = new DomainControl('domainSelect', hasVelocityModel, onChange);
+    }
+
+    createVerticalExaggerationControl(onChange) {
+        this.controls.verticalExaggeration = new VerticalExaggerationControl(
+            'verticalExaggerationSlider',
+            'label_verticalExaggeration',
+            onChange
+        );
+    }
+
+    createHorizonPickingPanel(horizonPicking) {
+        this.controls.horizonPickingPanel = new HorizonPickingPanel(horizonPicking, this.controls.mapView);
+        horizonPicking.onChange = () => {
+            this.controls.horizonPickingPanel.refresh();
+            if (this.controls.horizonPanel) {
+                this.controls.horizonPanel.update();
+            }
+        };
+    }
+
+    createCursorReadout(sceneManager) {
+        this.controls.cursorReadout = new CursorReadout('cursorReadout');
+        sceneManager.addHoverListener((result) => this.controls.cursorReadout.update(result));
+    }
+
     createCameraReset(sceneManager) {
         const resetBtn = document.getElementById('resetCameraBtn');
         if (resetBtn) {
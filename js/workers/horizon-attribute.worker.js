@@ -0,0 +1,14 @@
+import { SurfaceAttributes } from '../core/surface-attributes.js';
+
+// Computes one surface attribute per message so the UI thread stays responsive on large horizons.
+// The result grid is transferred back rather than copied.
+self.onmessage = (event) => {
+    const { id, name, grid, rows, columns, spacing, options } = event.data;
+
+    try {
+        const values = SurfaceAttributes.compute(name, grid, rows, columns, spacing, options);
+        self.postMessage({ id, values }, [values.buffer]);
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    }
+};
@@ -0,0 +1,17 @@
+import { Gridding } from '../core/gridding.js';
+
+// Grids one horizon per message. Fault triangles, when sent, are turned into a barrier mask
+// here as well, so the UI thread only collects the inputs. The filled grid is transferred back.
+self.onmessage = (event) => {
+    const { id, grid, rows, columns, triangles, options } = event.data;
+
+    try {
+        const barrier = triangles
+            ? Gridding.faultBarrier(grid, rows, columns, triangles, options.radius)
+            : new Uint8Array(rows * columns);
+        const values = Gridding.fill(grid, rows, columns, barrier, options);
+        self.postMessage({ id, values }, [values.buffer]);
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    }
+};